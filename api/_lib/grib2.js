@@ -0,0 +1,331 @@
+// /api/_lib/grib2.js
+// ============================================================
+// Minimal GRIB2 reader — just enough for MRMS 2D products
+// (regular lat/lon grid, simple or PNG packing, no bitmap)
+// ============================================================
+
+import zlib from "node:zlib";
+
+// ------------------------------------------------------------
+// BYTE HELPERS
+// ------------------------------------------------------------
+
+// GRIB2 signed integers are sign‑magnitude, not two's complement
+function readSigned(buf, offset, bytes) {
+  let value = 0;
+  for (let k = 0; k < bytes; k++) value = value * 256 + buf[offset + k];
+
+  const signBit = 2 ** (bytes * 8 - 1);
+  return value >= signBit ? -(value - signBit) : value;
+}
+
+function readUnsigned(buf, offset, bytes) {
+  let value = 0;
+  for (let k = 0; k < bytes; k++) value = value * 256 + buf[offset + k];
+  return value;
+}
+
+// ------------------------------------------------------------
+// SECTION PARSER
+// ------------------------------------------------------------
+
+/**
+ * Parse the first GRIB2 message in a buffer (gzipped or raw).
+ * Nothing is unpacked yet — this only reads the headers.
+ */
+export function parseGrib2(input) {
+  const buf = input[0] === 0x1f && input[1] === 0x8b ? zlib.gunzipSync(input) : input;
+
+  if (buf.toString("ascii", 0, 4) !== "GRIB") {
+    throw new Error("Not a GRIB file");
+  }
+  if (buf[7] !== 2) {
+    throw new Error("Unsupported GRIB edition: " + buf[7]);
+  }
+
+  const message = { refTime: null, grid: null, packing: null, data: null };
+  let pos = 16;
+
+  while (pos < buf.length - 4) {
+    if (buf.toString("ascii", pos, pos + 4) === "7777") break;
+
+    const length = buf.readUInt32BE(pos);
+    const number = buf[pos + 4];
+    const section = buf.subarray(pos, pos + length);
+
+    if (number === 1) message.refTime = parseIdentification(section);
+    if (number === 3) message.grid = parseGridDefinition(section);
+    if (number === 5) message.packing = parseDataRepresentation(section);
+    if (number === 6 && section[5] !== 255) {
+      throw new Error("GRIB bitmaps are not supported");
+    }
+    if (number === 7) message.data = section.subarray(5);
+
+    pos += length;
+  }
+
+  if (!message.grid || !message.packing || !message.data) {
+    throw new Error("Incomplete GRIB message");
+  }
+
+  return message;
+}
+
+function parseIdentification(s) {
+  const year = s.readUInt16BE(12);
+  return new Date(Date.UTC(year, s[14] - 1, s[15], s[16], s[17], s[18])).toISOString();
+}
+
+function parseGridDefinition(s) {
+  const template = s.readUInt16BE(12);
+  if (template !== 0) {
+    throw new Error("Unsupported GRIB grid template: " + template);
+  }
+
+  // Template 3.0 stores angles in micro‑degrees unless a basic angle is given
+  const basicAngle = s.readUInt32BE(38);
+  const subdivisions = s.readUInt32BE(42);
+  const unit =
+    basicAngle === 0 || basicAngle === 0xffffffff
+      ? 1e-6
+      : basicAngle / subdivisions;
+
+  return {
+    nx: s.readUInt32BE(30),
+    ny: s.readUInt32BE(34),
+    la1: readSigned(s, 46, 4) * unit,
+    lo1: readSigned(s, 50, 4) * unit,
+    la2: readSigned(s, 55, 4) * unit,
+    lo2: readSigned(s, 59, 4) * unit,
+    di: s.readUInt32BE(63) * unit,
+    dj: s.readUInt32BE(67) * unit,
+    scanMode: s[71]
+  };
+}
+
+function parseDataRepresentation(s) {
+  const template = s.readUInt16BE(9);
+  if (template !== 0 && template !== 41) {
+    throw new Error("Unsupported GRIB packing template: " + template);
+  }
+
+  return {
+    template,
+    reference: s.readFloatBE(11),
+    binaryScale: readSigned(s, 15, 2),
+    decimalScale: readSigned(s, 17, 2),
+    bits: s[19]
+  };
+}
+
+// ------------------------------------------------------------
+// GRID LOOKUP
+// ------------------------------------------------------------
+
+/**
+ * Convert a lat/lon into (i, j) scan indices on the message grid.
+ * Returns null when the point is outside the grid.
+ */
+export function gridIndexFor(grid, lat, lon) {
+  if (grid.scanMode & 0x20) {
+    throw new Error("Column‑major GRIB scanning is not supported");
+  }
+
+  const lon360 = ((lon % 360) + 360) % 360;
+  const westToEast = !(grid.scanMode & 0x80);
+  const southToNorth = Boolean(grid.scanMode & 0x40);
+
+  const i = Math.round(westToEast ? (lon360 - grid.lo1) / grid.di : (grid.lo1 - lon360) / grid.di);
+  const j = Math.round(southToNorth ? (lat - grid.la1) / grid.dj : (grid.la1 - lat) / grid.dj);
+
+  if (i < 0 || j < 0 || i >= grid.nx || j >= grid.ny) return null;
+  return { i, j };
+}
+
+// ------------------------------------------------------------
+// UNPACKING
+// ------------------------------------------------------------
+
+/**
+ * Read a rectangular block of physical values (rows j0..j1, cols i0..i1).
+ * Indices are clamped to the grid. Resolves to an array of rows.
+ */
+export async function readGrib2Window(message, i0, j0, i1, j1) {
+  const { grid, packing } = message;
+
+  const ci0 = Math.max(0, i0);
+  const cj0 = Math.max(0, j0);
+  const ci1 = Math.min(grid.nx - 1, i1);
+  const cj1 = Math.min(grid.ny - 1, j1);
+
+  const raw =
+    packing.template === 41
+      ? await readPngRows(message.data, grid.nx, cj0, cj1)
+      : readSimpleRows(message.data, grid.nx, packing.bits, cj0, cj1);
+
+  const scale = 2 ** packing.binaryScale;
+  const divisor = 10 ** packing.decimalScale;
+
+  return raw.map(row => {
+    const out = [];
+    for (let i = ci0; i <= ci1; i++) {
+      out.push((packing.reference + row[i] * scale) / divisor);
+    }
+    return out;
+  });
+}
+
+// Template 5.0 — values are packed back to back with a fixed bit width
+function readSimpleRows(data, nx, bits, j0, j1) {
+  const rows = [];
+
+  for (let j = j0; j <= j1; j++) {
+    const row = new Array(nx);
+    for (let i = 0; i < nx; i++) {
+      if (bits === 0) {
+        row[i] = 0;
+        continue;
+      }
+
+      let bitPos = (j * nx + i) * bits;
+      let value = 0;
+
+      for (let b = 0; b < bits; b++, bitPos++) {
+        const byte = data[bitPos >> 3];
+        value = value * 2 + ((byte >> (7 - (bitPos & 7))) & 1);
+      }
+
+      row[i] = value;
+    }
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Inflate only as far as `bytes` of output, then stop — the rows below
+// the point are never needed, and on the CONUS grid they're most of it
+function inflatePrefix(compressed, bytes) {
+  return new Promise((resolve, reject) => {
+    const inflate = zlib.createInflate();
+    const chunks = [];
+    let length = 0;
+    let settled = false;
+
+    const finish = () => {
+      if (settled) return;
+      settled = true;
+      inflate.destroy();
+      resolve(Buffer.concat(chunks, length));
+    };
+
+    inflate.on("data", chunk => {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= bytes) finish();
+    });
+    inflate.on("end", finish);
+    inflate.on("error", err => {
+      if (settled) return;
+      settled = true;
+      reject(err);
+    });
+
+    inflate.end(compressed);
+  });
+}
+
+// Template 5.41 — the packed integers are stored as a grayscale/RGB PNG
+async function readPngRows(data, nx, j0, j1) {
+  if (data.readUInt32BE(0) !== 0x89504e47) {
+    throw new Error("GRIB PNG payload is missing its signature");
+  }
+
+  let pos = 8;
+  let header = null;
+  const idat = [];
+
+  while (pos < data.length) {
+    const length = data.readUInt32BE(pos);
+    const type = data.toString("ascii", pos + 4, pos + 8);
+    const body = data.subarray(pos + 8, pos + 8 + length);
+
+    if (type === "IHDR") {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    }
+    if (type === "IDAT") idat.push(body);
+    if (type === "IEND") break;
+
+    pos += length + 12;
+  }
+
+  if (!header || header.width !== nx) {
+    throw new Error("GRIB PNG payload does not match the grid");
+  }
+  if (header.interlace !== 0 || header.bitDepth < 8) {
+    throw new Error("Unsupported GRIB PNG layout");
+  }
+
+  const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[header.colorType] ?? 1;
+  const bpp = (channels * header.bitDepth) / 8;
+  const stride = nx * bpp;
+  // Filters reference the previous row, so every row up to j1 is
+  // inflated and unfiltered — and nothing after it
+  const pixels = await inflatePrefix(Buffer.concat(idat), (j1 + 1) * (stride + 1));
+  if (pixels.length < (j1 + 1) * (stride + 1)) {
+    throw new Error("GRIB PNG payload is truncated");
+  }
+
+  let prev = Buffer.alloc(stride);
+  const rows = [];
+
+  for (let j = 0; j <= j1; j++) {
+    const start = j * (stride + 1);
+    const filter = pixels[start];
+    const line = Buffer.from(pixels.subarray(start + 1, start + 1 + stride));
+
+    unfilterLine(filter, line, prev, bpp);
+
+    if (j >= j0) {
+      const row = new Array(nx);
+      for (let i = 0; i < nx; i++) row[i] = readUnsigned(line, i * bpp, bpp);
+      rows.push(row);
+    }
+
+    prev = line;
+  }
+
+  return rows;
+}
+
+function unfilterLine(filter, line, prev, bpp) {
+  for (let x = 0; x < line.length; x++) {
+    const a = x >= bpp ? line[x - bpp] : 0;
+    const b = prev[x];
+    const c = x >= bpp ? prev[x - bpp] : 0;
+
+    let add = 0;
+    if (filter === 1) add = a;
+    else if (filter === 2) add = b;
+    else if (filter === 3) add = (a + b) >> 1;
+    else if (filter === 4) add = paeth(a, b, c);
+
+    line[x] = (line[x] + add) & 0xff;
+  }
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
@@ -0,0 +1,120 @@
+// /api/_lib/mrms.js
+// ============================================================
+// MRMS point sampling — PrecipRate + PrecipFlag
+// ============================================================
+
+import { parseGrib2, gridIndexFor, readGrib2Window } from "./grib2.js";
+
+export const MRMS_PRODUCTS = {
+  rate: "https://mrms.ncep.noaa.gov/data/2D/PrecipRate/MRMS_PrecipRate.latest.grib2.gz",
+  flag: "https://mrms.ncep.noaa.gov/data/2D/PrecipFlag/MRMS_PrecipFlag.latest.grib2.gz"
+};
+
+// Cells are ~1 km, so a radius of 2 checks roughly a 5 × 5 km box
+export const DEFAULT_RADIUS = 2;
+
+const MM_PER_INCH = 25.4;
+
+// ------------------------------------------------------------
+// PRECIP FLAG CODES (MRMS v12)
+// ------------------------------------------------------------
+// -3 no coverage, 0 no precip, 1 warm stratiform rain,
+// 3 snow, 6 convective rain, 7 rain with hail,
+// 10 cold stratiform rain, 91/96 tropical rain
+function flagToType(flag) {
+  if (flag == null || flag <= 0) return null;
+  if (flag === 3) return "snow";
+  return "rain";
+}
+
+// ------------------------------------------------------------
+// NEIGHBORHOOD SAMPLER
+// ------------------------------------------------------------
+
+/**
+ * Read the (2r+1)² block of cells around a point.
+ * Returns null when the point is outside the product grid.
+ */
+export async function sampleNeighborhood(message, lat, lon, radius = DEFAULT_RADIUS) {
+  const center = gridIndexFor(message.grid, lat, lon);
+  if (!center) return null;
+
+  const rows = await readGrib2Window(
+    message,
+    center.i - radius,
+    center.j - radius,
+    center.i + radius,
+    center.j + radius
+  );
+
+  return rows.flat();
+}
+
+// ------------------------------------------------------------
+// CLASSIFIERS
+// ------------------------------------------------------------
+
+// NWS rainfall‑rate classes (in/hr)
+export function classifyIntensity(rateIn) {
+  if (!rateIn || rateIn <= 0) return "none";
+  if (rateIn < 0.10) return "light";
+  if (rateIn < 0.30) return "moderate";
+  return "heavy";
+}
+
+/**
+ * Combine rate + flag neighborhoods into the client‑facing shape.
+ * Negative rates are MRMS missing/no‑coverage sentinels and are ignored.
+ */
+export function summarizePrecip(rateCells, flagCells) {
+  const rates = (rateCells || []).map(v => (v > 0 ? v : 0));
+  const rateMm = rates.length ? Math.max(...rates) : 0;
+  const rate = Math.round((rateMm / MM_PER_INCH) * 1000) / 1000;
+
+  let type = "none";
+
+  if (rateMm > 0) {
+    // Only flags from cells that are actually precipitating count
+    const types = new Set(
+      (flagCells || [])
+        .filter((_, k) => rates[k] > 0)
+        .map(flagToType)
+        .filter(Boolean)
+    );
+
+    if (types.has("snow") && types.has("rain")) type = "mix";
+    else if (types.has("snow")) type = "snow";
+    else type = "rain";
+  }
+
+  return {
+    rate,
+    rateMm: Math.round(rateMm * 10) / 10,
+    type,
+    intensity: classifyIntensity(rate)
+  };
+}
+
+/**
+ * Decode both products (raw or gzipped GRIB2 buffers) for one point.
+ * Pure — works the same on live downloads or saved sample files
+ * (see api/_fixtures/mrms-*.grib2.gz and test/mrms.test.js).
+ */
+export async function decodeMRMSPoint(rateBuffer, flagBuffer, lat, lon, radius = DEFAULT_RADIUS) {
+  const rateMsg = parseGrib2(rateBuffer);
+  const rateCells = await sampleNeighborhood(rateMsg, lat, lon, radius);
+
+  if (!rateCells) {
+    return { rate: 0, rateMm: 0, type: "none", intensity: "none", validTime: rateMsg.refTime, covered: false };
+  }
+
+  const flagCells = flagBuffer
+    ? await sampleNeighborhood(parseGrib2(flagBuffer), lat, lon, radius)
+    : null;
+
+  return {
+    ...summarizePrecip(rateCells, flagCells),
+    validTime: rateMsg.refTime,
+    covered: true
+  };
+}
@@ -0,0 +1,54 @@
+// /api/_lib/nws-alerts.js
+// ============================================================
+// NWS active alerts — GeoJSON → the small shape the client uses
+// ============================================================
+
+const SEVERITY_RANK = {
+  Extreme: 4,
+  Severe: 3,
+  Moderate: 2,
+  Minor: 1,
+  Unknown: 0
+};
+
+// "Winter Storm Warning" → "warning"
+export function alertLevel(event = "") {
+  if (/warning$/i.test(event)) return "warning";
+  if (/watch$/i.test(event)) return "watch";
+  if (/advisory$/i.test(event)) return "advisory";
+  return "statement";
+}
+
+const LEVEL_RANK = { warning: 3, watch: 2, advisory: 1, statement: 0 };
+
+/**
+ * Parse an api.weather.gov /alerts/active response.
+ * Cancelled and test messages are dropped; the rest are sorted
+ * most serious first.
+ */
+export function parseAlerts(geojson) {
+  const features = geojson?.features || [];
+
+  return features
+    .map(f => f.properties || {})
+    .filter(p => p.status === "Actual" && p.messageType !== "Cancel")
+    .map(p => ({
+      id: p.id,
+      event: p.event,
+      level: alertLevel(p.event),
+      severity: p.severity || "Unknown",
+      urgency: p.urgency || "Unknown",
+      headline: p.headline || p.event,
+      effective: p.effective || null,
+      onset: p.onset || p.effective || null,
+      expires: p.expires || null,
+      ends: p.ends || p.expires || null,
+      areaDesc: p.areaDesc || "",
+      description: p.description || "",
+      instruction: p.instruction || ""
+    }))
+    .sort((a, b) =>
+      LEVEL_RANK[b.level] - LEVEL_RANK[a.level] ||
+      (SEVERITY_RANK[b.severity] ?? 0) - (SEVERITY_RANK[a.severity] ?? 0)
+    );
+}
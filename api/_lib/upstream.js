@@ -0,0 +1,159 @@
+// /api/_lib/upstream.js
+// ============================================================
+// Shared upstream helpers for every /api proxy
+// URL building, timeouts, CORS and one error shape
+// ============================================================
+
+export const DEFAULT_TIMEOUT_MS = 8000;
+
+const WU_BASE = "https://api.weather.com";
+const OPEN_METEO_BASE = "https://api.open-meteo.com";
+const OPEN_METEO_AIR_BASE = "https://air-quality-api.open-meteo.com";
+const NWS_BASE = "https://api.weather.gov";
+
+// api.weather.gov rejects requests without an identifying User‑Agent
+const NWS_USER_AGENT = "828-weather-direct (github.com/Irisheagle76/828-weather-direct)";
+
+// ------------------------------------------------------------
+// ERRORS
+// ------------------------------------------------------------
+
+/**
+ * Error thrown for any upstream or request failure.
+ * `status` is what the proxy will answer with.
+ */
+export class ProxyError extends Error {
+  constructor(message, status = 502, detail = null) {
+    super(message);
+    this.name = "ProxyError";
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// ------------------------------------------------------------
+// URL BUILDERS
+// ------------------------------------------------------------
+export function buildUrl(base, path, params = {}) {
+  const url = new URL(path, base);
+
+  for (const [key, value] of Object.entries(params)) {
+    if (value == null) continue;
+    url.searchParams.set(key, Array.isArray(value) ? value.join(",") : String(value));
+  }
+
+  return url.toString();
+}
+
+/**
+ * Weather.com URL with the server‑side key attached.
+ * The key only ever lives in process.env.WU_API_KEY.
+ */
+export function wuUrl(path, params = {}) {
+  const apiKey = process.env.WU_API_KEY;
+  if (!apiKey) throw new ProxyError("WU_API_KEY is not configured", 500);
+
+  return buildUrl(WU_BASE, path, { ...params, format: "json", apiKey });
+}
+
+export function openMeteoUrl(path, params = {}) {
+  return buildUrl(OPEN_METEO_BASE, path, params);
+}
+
+// Air quality lives on its own Open‑Meteo host (CAMS model data)
+export function openMeteoAirUrl(path, params = {}) {
+  return buildUrl(OPEN_METEO_AIR_BASE, path, params);
+}
+
+export function nwsUrl(path, params = {}) {
+  return buildUrl(NWS_BASE, path, params);
+}
+
+export const NWS_HEADERS = {
+  "User-Agent": NWS_USER_AGENT,
+  Accept: "application/geo+json"
+};
+
+// Units + timezone every Open‑Meteo forecast call shares
+export const OPEN_METEO_FORECAST_DEFAULTS = {
+  timezone: "America/New_York",
+  temperature_unit: "fahrenheit",
+  dewpoint_unit: "fahrenheit",
+  wind_speed_unit: "mph",
+  precipitation_unit: "inch"
+};
+
+// ------------------------------------------------------------
+// FETCH WITH TIMEOUT
+// ------------------------------------------------------------
+
+/**
+ * Fetch an upstream URL and return its body.
+ * `as` is "json" (default), "text" or "buffer".
+ */
+export async function fetchUpstream(url, { as = "json", timeoutMs = DEFAULT_TIMEOUT_MS, label = "Upstream", headers = {} } = {}) {
+  let r;
+
+  try {
+    r = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (err) {
+    if (err.name === "TimeoutError" || err.name === "AbortError") {
+      throw new ProxyError(`${label} timed out`, 504);
+    }
+    throw new ProxyError(`${label} unreachable`, 502);
+  }
+
+  if (!r.ok) {
+    const detail = await r.text().catch(() => null);
+    console.error(`${label} upstream error:`, r.status, r.statusText);
+    throw new ProxyError(`${label} error`, r.status, detail);
+  }
+
+  if (as === "buffer") return Buffer.from(await r.arrayBuffer());
+  if (as === "text") return r.text();
+
+  try {
+    return await r.json();
+  } catch {
+    throw new ProxyError(`${label} returned invalid JSON`, 502);
+  }
+}
+
+// ------------------------------------------------------------
+// RESPONSE HELPERS
+// ------------------------------------------------------------
+export function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+export function setCache(res, maxAge, staleWhileRevalidate = maxAge * 2) {
+  res.setHeader("Cache-Control", `s-maxage=${maxAge}, stale-while-revalidate=${staleWhileRevalidate}`);
+}
+
+/**
+ * Every proxy answers failures as `{ error, status }`.
+ */
+export function sendError(res, err) {
+  const status = err instanceof ProxyError ? err.status : 500;
+  const message = err instanceof ProxyError ? err.message : "Proxy failed";
+
+  if (!(err instanceof ProxyError)) console.error("Proxy error:", err);
+
+  res.status(status).json({ error: message, status });
+}
+
+/**
+ * Parse required numeric lat/lon query params (throws a 400).
+ */
+export function requireLatLon(query) {
+  const lat = parseFloat(query.lat);
+  const lon = parseFloat(query.lon);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    throw new ProxyError("lat and lon are required", 400);
+  }
+
+  return { lat, lon };
+}
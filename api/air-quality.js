@@ -0,0 +1,41 @@
+import {
+  openMeteoAirUrl,
+  fetchUpstream,
+  requireLatLon,
+  setCors,
+  setCache,
+  sendError
+} from "./_lib/upstream.js";
+
+// US AQI overall + per pollutant, and the raw concentrations (µg/m³)
+export const HOURLY_VARIABLES = [
+  "us_aqi",
+  "us_aqi_pm2_5",
+  "us_aqi_ozone",
+  "pm2_5",
+  "ozone"
+];
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  try {
+    const { lat, lon } = requireLatLon(req.query);
+
+    const data = await fetchUpstream(
+      openMeteoAirUrl("/v1/air-quality", {
+        latitude: lat,
+        longitude: lon,
+        hourly: HOURLY_VARIABLES,
+        forecast_days: 3,
+        timezone: "America/New_York"
+      }),
+      { label: "Open-Meteo air quality" }
+    );
+
+    setCache(res, 1800, 3600);
+    res.status(200).json(data);
+  } catch (err) {
+    sendError(res, err);
+  }
+}
@@ -0,0 +1,37 @@
+import {
+  nwsUrl,
+  fetchUpstream,
+  requireLatLon,
+  setCors,
+  setCache,
+  sendError,
+  NWS_HEADERS
+} from "./_lib/upstream.js";
+import { parseAlerts } from "./_lib/nws-alerts.js";
+
+function loadAlerts(params) {
+  const path = params.zone
+    ? `/alerts/active/zone/${encodeURIComponent(params.zone)}`
+    : "/alerts/active";
+
+  return fetchUpstream(
+    nwsUrl(path, params.zone ? {} : { point: `${params.lat},${params.lon}` }),
+    { label: "NWS alerts", headers: NWS_HEADERS }
+  );
+}
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  try {
+    const zone = req.query.zone && /^[A-Z]{2}[CZ]\d{3}$/.test(req.query.zone) ? req.query.zone : null;
+    const params = zone ? { zone } : requireLatLon(req.query);
+
+    const alerts = parseAlerts(await loadAlerts(params));
+
+    setCache(res, 60, 120);
+    res.status(200).json({ alerts });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
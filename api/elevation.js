@@ -0,0 +1,38 @@
+import { openMeteoUrl, fetchUpstream, setCors, setCache, sendError, ProxyError } from "./_lib/upstream.js";
+
+// Accepts comma‑separated lat/lon lists so one call covers several points
+function parseList(value) {
+  return String(value ?? "")
+    .split(",")
+    .filter(Boolean)
+    .map(Number);
+}
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  try {
+    const lats = parseList(req.query.lat);
+    const lons = parseList(req.query.lon);
+
+    if (
+      !lats.length ||
+      lats.length !== lons.length ||
+      lats.length > 10 ||
+      ![...lats, ...lons].every(Number.isFinite)
+    ) {
+      throw new ProxyError("lat and lon lists are required and must match", 400);
+    }
+
+    const data = await fetchUpstream(
+      openMeteoUrl("/v1/elevation", { latitude: lats, longitude: lons }),
+      { label: "Open-Meteo elevation" }
+    );
+
+    // Terrain doesn't change — cache hard
+    setCache(res, 86400, 604800);
+    res.status(200).json({ elevation: data.elevation ?? [] });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
@@ -0,0 +1,46 @@
+import {
+  openMeteoUrl,
+  fetchUpstream,
+  requireLatLon,
+  setCors,
+  setCache,
+  sendError,
+  OPEN_METEO_FORECAST_DEFAULTS
+} from "./_lib/upstream.js";
+
+// Days shown in the extended strip (today + 9)
+const FORECAST_DAYS = 10;
+
+export const DAILY_VARIABLES = [
+  "temperature_2m_max",
+  "temperature_2m_min",
+  "precipitation_sum",
+  "snowfall_sum",
+  "precipitation_hours",
+  "windgusts_10m_max",
+  "uv_index_max"
+];
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  try {
+    const { lat, lon } = requireLatLon(req.query);
+
+    const data = await fetchUpstream(
+      openMeteoUrl("/v1/forecast", {
+        latitude: lat,
+        longitude: lon,
+        daily: DAILY_VARIABLES,
+        forecast_days: FORECAST_DAYS,
+        ...OPEN_METEO_FORECAST_DEFAULTS
+      }),
+      { label: "Open-Meteo daily forecast" }
+    );
+
+    setCache(res, 1800, 3600);
+    res.status(200).json(data);
+  } catch (err) {
+    sendError(res, err);
+  }
+}
@@ -0,0 +1,56 @@
+import {
+  openMeteoUrl,
+  fetchUpstream,
+  requireLatLon,
+  setCors,
+  setCache,
+  sendError,
+  OPEN_METEO_FORECAST_DEFAULTS
+} from "./_lib/upstream.js";
+
+// Open‑Meteo model ids → the short names the UI uses
+export const MODELS = {
+  gfs_seamless: "GFS",
+  ecmwf_ifs025: "ECMWF",
+  icon_seamless: "ICON",
+  gfs_hrrr: "HRRR"
+};
+
+const VARIABLES = ["temperature_2m", "precipitation", "windgusts_10m"];
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  try {
+    const { lat, lon } = requireLatLon(req.query);
+
+    const data = await fetchUpstream(
+      openMeteoUrl("/v1/forecast", {
+        latitude: lat,
+        longitude: lon,
+        hourly: VARIABLES,
+        models: Object.keys(MODELS),
+        forecast_days: 3,
+        ...OPEN_METEO_FORECAST_DEFAULTS
+      }),
+      { label: "Open-Meteo models" }
+    );
+
+    // Regroup "temperature_2m_gfs_seamless"‑style keys per model
+    const hourly = data.hourly || {};
+    const models = {};
+
+    for (const [id, name] of Object.entries(MODELS)) {
+      const series = {};
+      for (const v of VARIABLES) series[v] = hourly[`${v}_${id}`] ?? [];
+
+      // HRRR only runs ~2 days out; drop models with no data at all
+      if (series.temperature_2m.some(t => t != null)) models[name] = series;
+    }
+
+    setCache(res, 900, 1800);
+    res.status(200).json({ time: hourly.time ?? [], models });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
@@ -1,26 +1,25 @@
+import { fetchUpstream, requireLatLon, setCors, setCache, sendError } from "./_lib/upstream.js";
+import { MRMS_PRODUCTS, DEFAULT_RADIUS, decodeMRMSPoint } from "./_lib/mrms.js";
+
 export default async function handler(req, res) {
-  const upstreamUrl =
-    "https://mrms.ncep.noaa.gov/data/2D/PrecipRate/latest/MRMS_PrecipRate_00.00.json";
+  setCors(res);
 
   try {
-    const r = await fetch(upstreamUrl);
-
-    if (!r.ok) {
-      console.error("MRMS upstream error:", r.status, r.statusText);
-      res.status(r.status).json({ error: "Upstream MRMS error" });
-      return;
-    }
+    const { lat, lon } = requireLatLon(req.query);
+    const radius = req.query.radius != null ? parseInt(req.query.radius, 10) : DEFAULT_RADIUS;
 
-    const data = await r.json();
+    const [rateBuf, flagBuf] = await Promise.all([
+      fetchUpstream(MRMS_PRODUCTS.rate, { as: "buffer", label: "MRMS PrecipRate", timeoutMs: 15000 }),
+      // Precip type is a nice‑to‑have; a missing flag grid still yields a rate
+      fetchUpstream(MRMS_PRODUCTS.flag, { as: "buffer", label: "MRMS PrecipFlag", timeoutMs: 15000 }).catch(() => null)
+    ]);
 
-    // Allow your frontend to call this endpoint
-    res.setHeader("Access-Control-Allow-Origin", "*");
-    res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
-    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    const pixel = await decodeMRMSPoint(rateBuf, flagBuf, lat, lon, Math.min(Math.max(radius || 0, 0), 10));
 
-    res.status(200).json(data);
+    // MRMS refreshes every 2 minutes
+    setCache(res, 120, 120);
+    res.status(200).json(pixel);
   } catch (err) {
-    console.error("MRMS proxy error:", err);
-    res.status(500).json({ error: "MRMS proxy failed" });
+    sendError(res, err);
   }
 }
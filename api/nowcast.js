@@ -0,0 +1,42 @@
+import {
+  openMeteoUrl,
+  fetchUpstream,
+  requireLatLon,
+  setCors,
+  setCache,
+  sendError,
+  OPEN_METEO_FORECAST_DEFAULTS
+} from "./_lib/upstream.js";
+
+// 15‑minute steps (HRRR‑based over the US) for "starting soon" alerts
+export const MINUTELY_VARIABLES = [
+  "precipitation",
+  "snowfall"
+];
+
+// Three hours ahead is plenty for "in ~20 minutes"
+const STEPS = 12;
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  try {
+    const { lat, lon } = requireLatLon(req.query);
+
+    const data = await fetchUpstream(
+      openMeteoUrl("/v1/forecast", {
+        latitude: lat,
+        longitude: lon,
+        minutely_15: MINUTELY_VARIABLES,
+        forecast_minutely_15: STEPS,
+        ...OPEN_METEO_FORECAST_DEFAULTS
+      }),
+      { label: "Open-Meteo nowcast" }
+    );
+
+    setCache(res, 300, 600);
+    res.status(200).json({ minutely15: data.minutely_15 ?? null });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
@@ -0,0 +1,69 @@
+import {
+  openMeteoUrl,
+  fetchUpstream,
+  setCors,
+  setCache,
+  sendError,
+  ProxyError,
+  OPEN_METEO_FORECAST_DEFAULTS
+} from "./_lib/upstream.js";
+import { HOURLY_VARIABLES } from "./wu-forecast.js";
+
+const FT_PER_M = 3.28084;
+
+// Accepts comma‑separated lists so one call covers several points
+function parseList(value) {
+  return String(value ?? "")
+    .split(",")
+    .filter(Boolean)
+    .map(Number);
+}
+
+// Hourly forecasts for up to 10 fixed points (the Parkway landmarks).
+// `elev` is each point's height in feet: Open‑Meteo downscales to it
+// instead of its own smoothed grid cell, which sits well below a summit.
+export default async function handler(req, res) {
+  setCors(res);
+
+  try {
+    const lats = parseList(req.query.lat);
+    const lons = parseList(req.query.lon);
+    const elevs = parseList(req.query.elev);
+
+    if (
+      !lats.length ||
+      lats.length !== lons.length ||
+      lats.length !== elevs.length ||
+      lats.length > 10 ||
+      ![...lats, ...lons, ...elevs].every(Number.isFinite)
+    ) {
+      throw new ProxyError("lat, lon and elev lists are required and must match", 400);
+    }
+
+    const data = await fetchUpstream(
+      openMeteoUrl("/v1/forecast", {
+        latitude: lats,
+        longitude: lons,
+        elevation: elevs.map(ft => Math.round(ft / FT_PER_M)),
+        hourly: HOURLY_VARIABLES,
+        forecast_days: 2,
+        ...OPEN_METEO_FORECAST_DEFAULTS
+      }),
+      { label: "Open-Meteo spot forecast" }
+    );
+
+    // One point answers with an object, several with an array
+    const points = Array.isArray(data) ? data : [data];
+
+    setCache(res, 900, 1800);
+    res.status(200).json({
+      spots: points.map(p => ({
+        elevation: p.elevation ?? null,
+        hourly: p.hourly ?? null,
+        hourly_units: p.hourly_units ?? null
+      }))
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
@@ -1,25 +1,21 @@
+import { wuUrl, fetchUpstream, setCors, setCache, sendError, ProxyError } from "./_lib/upstream.js";
+
 export default async function handler(req, res) {
+  setCors(res);
+
   try {
     const { stationId } = req.query;
-    const apiKey = process.env.WU_API_KEY;
-
-    const url =
-      `https://api.weather.com/v2/pws/observations/current?stationId=${stationId}` +
-      `&format=json&units=e&apiKey=${apiKey}`;
+    if (!stationId) throw new ProxyError("stationId is required", 400);
 
-    const r = await fetch(url);
-    const text = await r.text();   // <-- read raw text
+    const data = await fetchUpstream(
+      wuUrl("/v2/pws/observations/current", { stationId, units: "e" }),
+      { label: "WU current conditions" }
+    );
 
-    console.log("WU RAW RESPONSE:", text);  // <-- log it
-
-    if (!r.ok) {
-      return res.status(r.status).json({ error: text });
-    }
-
-    const data = JSON.parse(text); // <-- parse manually
+    // PWS observations update every few minutes
+    setCache(res, 60, 120);
     res.status(200).json(data);
-
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 }
@@ -1,27 +1,54 @@
-export default async function handler(req, res) {
-  try {
-    const { lat, lon } = req.query;
+import {
+  openMeteoUrl,
+  fetchUpstream,
+  requireLatLon,
+  setCors,
+  setCache,
+  sendError,
+  OPEN_METEO_FORECAST_DEFAULTS
+} from "./_lib/upstream.js";
 
-    const url =
-      `https://api.open-meteo.com/v1/forecast` +
-      `?latitude=${lat}&longitude=${lon}` +
-      `&hourly=temperature_2m,dewpoint_2m,precipitation,snowfall,windgusts_10m,uv_index` +
-      `&forecast_days=3&timezone=America/New_York` +
-      `&temperature_unit=fahrenheit` +
-      `&dewpoint_unit=fahrenheit` +
-      `&wind_speed_unit=mph` +
-      `&precipitation_unit=inch`;
+export const HOURLY_VARIABLES = [
+  "temperature_2m",
+  "dewpoint_2m",
+  "precipitation",
+  "precipitation_probability",
+  "snowfall",
+  "windspeed_10m",
+  "winddirection_10m",
+  "windgusts_10m",
+  "uv_index",
+  "cloudcover",
+  "cloudcover_low",
+  "visibility",
+  "temperature_850hPa",
+  "temperature_925hPa",
+  "soil_temperature_0cm",
+  "cape",
+  "lifted_index",
+  "showers"
+];
 
-    const r = await fetch(url);
-    const data = await r.json();
+export default async function handler(req, res) {
+  setCors(res);
+
+  try {
+    const { lat, lon } = requireLatLon(req.query);
 
-    if (!r.ok) {
-      return res.status(r.status).json({ error: data });
-    }
+    const data = await fetchUpstream(
+      openMeteoUrl("/v1/forecast", {
+        latitude: lat,
+        longitude: lon,
+        hourly: HOURLY_VARIABLES,
+        forecast_days: 3,
+        ...OPEN_METEO_FORECAST_DEFAULTS
+      }),
+      { label: "Open-Meteo forecast" }
+    );
 
-    res.setHeader("Cache-Control", "s-maxage=300, stale-while-revalidate=600");
+    setCache(res, 300, 600);
     res.status(200).json(data);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 }
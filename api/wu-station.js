@@ -1,22 +1,19 @@
-export default async function handler(req, res) {
-  try {
-    const { lat, lon } = req.query;
-    const apiKey = process.env.WU_API_KEY;
+import { wuUrl, fetchUpstream, requireLatLon, setCors, setCache, sendError } from "./_lib/upstream.js";
 
-    const url =
-      `https://api.weather.com/v3/location/near?geocode=${lat},${lon}` +
-      `&product=pws&format=json&apiKey=${apiKey}`;
+export default async function handler(req, res) {
+  setCors(res);
 
-    const r = await fetch(url);
-    const data = await r.json();
+  try {
+    const { lat, lon } = requireLatLon(req.query);
 
-    if (!r.ok) {
-      return res.status(r.status).json({ error: data });
-    }
+    const data = await fetchUpstream(
+      wuUrl("/v3/location/near", { geocode: `${lat},${lon}`, product: "pws" }),
+      { label: "WU station lookup" }
+    );
 
-    res.setHeader("Cache-Control", "s-maxage=300, stale-while-revalidate=600");
+    setCache(res, 300, 600);
     res.status(200).json(data);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 }
@@ -0,0 +1,206 @@
+// /js/activity-profiles.js
+// ============================================================
+// ACTIVITY PROFILES — the same weather, read for what you're doing
+//
+// Runners feel the dewpoint, cyclists the gusts, hikers the ridge
+// wind and afternoon storms, dog walkers the pavement. Each profile
+// is an ordered list of rules; the first one that fires adds its
+// line to the micro‑advice and can stand in for a generic layer
+// that would otherwise say the same thing less usefully.
+// ============================================================
+
+import { formatHour } from './forecast-time.js';
+import { formatTemp, formatSpeed } from './units.js';
+import { AQI_SENSITIVE } from './air-quality.js';
+
+const ACTIVITY_KEY = "828wx.activity";
+
+export const ACTIVITIES = [
+  { key: "general", label: "Anything", emoji: "🙂" },
+  { key: "hiking", label: "Hike", emoji: "🥾" },
+  { key: "cycling", label: "Ride", emoji: "🚴" },
+  { key: "running", label: "Run", emoji: "🏃" },
+  { key: "dog-walking", label: "Dog walk", emoji: "🐕" }
+];
+
+let activity = loadActivity();
+
+function loadActivity() {
+  try {
+    const saved = localStorage.getItem(ACTIVITY_KEY);
+    return ACTIVITIES.some(a => a.key === saved) ? saved : "general";
+  } catch {
+    return "general";
+  }
+}
+
+// ------------------------------------------------------------
+// SELECTION
+// ------------------------------------------------------------
+export function getActivity() {
+  return activity;
+}
+
+export function setActivity(next) {
+  if (!ACTIVITIES.some(a => a.key === next)) return;
+  activity = next;
+
+  try {
+    localStorage.setItem(ACTIVITY_KEY, next);
+  } catch {
+    // Private mode — the choice just won't survive a reload
+  }
+}
+
+// ------------------------------------------------------------
+// THRESHOLDS (canonical °F / mph)
+// ------------------------------------------------------------
+
+// Exposed summits and balds gust well above what the valley sees
+const RIDGE_GUST_FACTOR = 1.4;
+
+const HIKING = { ridgeGustHigh: 45, ridgeGustBreezy: 30, hot: 85 };
+const CYCLING = { gustHigh: 35, gustBreezy: 22, coldAtSpeed: 40, hot: 90 };
+const RUNNING = { dewOppressive: 70, dewSticky: 65, dewNoticeable: 60, dewCrisp: 50, cold: 25 };
+const DOG_WALKING = { pavementTooHot: 125, pavementHot: 115, hot: 85, cold: 20 };
+
+// Sun‑baked asphalt runs well above the air: ~6°F per UV index point
+// puts it near 125°F on a 77°F sunny afternoon
+const PAVEMENT_F_PER_UV = 6;
+
+const stormsAhead = storms => (storms?.level === "likely" || storms?.level === "scattered") && storms.start;
+
+// ------------------------------------------------------------
+// PROFILES
+// Each rule returns { text, replaces } or falsy; `replaces` names the
+// generic micro‑advice layers ("dew", "windTemp", "air") it covers.
+// ------------------------------------------------------------
+const PROFILES = {
+  hiking: [
+    ({ storms }) => stormsAhead(storms) && {
+      text: `Storms from about ${formatHour(storms.start)} — be off exposed summits and balds before then.`
+    },
+    ({ driver }) => driver === "ice" && {
+      text: "Icy trails and likely Parkway closures — save the summit for another day."
+    },
+    ({ gustMax }) => {
+      const ridge = Math.round(gustMax * RIDGE_GUST_FACTOR);
+      if (ridge >= HIKING.ridgeGustHigh) {
+        return { text: `Ridge gusts could reach ${formatSpeed(ridge)} — skip exposed summits and balds.` };
+      }
+      if (ridge >= HIKING.ridgeGustBreezy) {
+        return { text: `Gusts near ${formatSpeed(ridge)} up top — pack a windproof layer.` };
+      }
+      return null;
+    },
+    ({ driver }) => driver === "fog" && {
+      text: "Summits may sit above the valley fog — slow going on the drive up."
+    },
+    ({ feelsLike }) => feelsLike >= HIKING.hot && {
+      text: "Hot on the climbs — start early and carry extra water."
+    }
+  ],
+
+  cycling: [
+    ({ storms }) => stormsAhead(storms) && {
+      text: `Storms from about ${formatHour(storms.start)} — ride early and stay near shelter.`
+    },
+    ({ driver }) => (driver === "ice" || driver === "snow") && {
+      text: "Icy patches on shaded roads — not a day for skinny tires."
+    },
+    ({ gustMax }) => gustMax >= CYCLING.gustHigh && {
+      text: `Gusts to ${formatSpeed(gustMax)} — crosswinds on exposed stretches; pick a sheltered route.`,
+      replaces: ["windTemp"]
+    },
+    ({ driver }) => driver === "rain" && {
+      text: "Wet roads — brake early and watch painted lines and wet leaves."
+    },
+    ({ gustMax }) => gustMax >= CYCLING.gustBreezy && {
+      text: "Breezy — head out into the wind so it’s at your back coming home.",
+      replaces: ["windTemp"]
+    },
+    ({ temp }) => temp <= CYCLING.coldAtSpeed && {
+      text: "Colder at speed — cover your hands and ears.",
+      replaces: ["windTemp"]
+    },
+    ({ feelsLike }) => feelsLike >= CYCLING.hot && {
+      text: "Hot climbs — carry two bottles and ride early."
+    }
+  ],
+
+  running: [
+    ({ dew }) => dew >= RUNNING.dewOppressive && {
+      text: `Dewpoint ${formatTemp(dew)} — oppressive for running; slow down and go early or late.`,
+      replaces: ["dew"]
+    },
+    ({ dew }) => dew >= RUNNING.dewSticky && {
+      text: `Dewpoint ${formatTemp(dew)} — expect slower paces than usual; hydrate.`,
+      replaces: ["dew"]
+    },
+    ({ aqi, driver }) => driver !== "air" && aqi != null && aqi >= AQI_SENSITIVE && {
+      text: "Move hard efforts indoors — the air is rough on the lungs today.",
+      replaces: ["air"]
+    },
+    ({ dew }) => dew >= RUNNING.dewNoticeable && {
+      text: "Noticeable humidity — ease off on hard efforts.",
+      replaces: ["dew"]
+    },
+    ({ feelsLike }) => feelsLike <= RUNNING.cold && {
+      text: "Cover up — hat, gloves and a layer you can unzip.",
+      replaces: ["windTemp"]
+    },
+    ({ dew, temp }) => dew != null && dew <= RUNNING.dewCrisp && temp >= 40 && temp <= 65 && {
+      text: "Prime running weather — go for it.",
+      replaces: ["dew"]
+    }
+  ],
+
+  "dog-walking": [
+    ({ pavement }) => pavement != null && pavement >= DOG_WALKING.pavementTooHot && {
+      text: `Pavement could hit ${formatTemp(pavement)} — too hot for paws; stick to grass or walk early or late.`
+    },
+    ({ pavement }) => pavement != null && pavement >= DOG_WALKING.pavementHot && {
+      text: "Hot pavement — hold the back of your hand on it for 7 seconds before walking."
+    },
+    ({ storms }) => stormsAhead(storms) && {
+      text: `Thunder from about ${formatHour(storms.start)} — walk before then and keep nervous pups close.`
+    },
+    ({ feelsLike }) => feelsLike >= DOG_WALKING.hot && {
+      text: "Keep walks short and shady — dogs overheat faster than we do."
+    },
+    ({ driver, temp }) => (driver === "ice" || driver === "snow" || temp <= DOG_WALKING.cold) && {
+      text: "Short walks — rinse salt and de‑icer off paws afterward."
+    }
+  ]
+};
+
+// ------------------------------------------------------------
+// ADVICE
+// ------------------------------------------------------------
+
+/**
+ * Estimated sun‑baked pavement temperature (°F), or null when the sun
+ * isn't doing much (no UV reading, or UV under 3).
+ */
+export function estimatePavementTemp(airTemp, uv) {
+  if (airTemp == null || uv == null || uv < 3) return null;
+  return Math.round(airTemp + Math.min(uv, 10) * PAVEMENT_F_PER_UV);
+}
+
+/**
+ * First profile rule that fires for the conditions, or null.
+ *   conditions = { temp, feelsLike, dew, gustMax, uv, aqi, storms, driver }
+ * Returns { text, replaces } — `replaces` lists generic layers to drop.
+ */
+export function activityAdvice(key, conditions) {
+  const rules = PROFILES[key];
+  if (!rules) return null;
+
+  const c = { ...conditions, pavement: estimatePavementTemp(conditions.temp, conditions.uv) };
+
+  for (const rule of rules) {
+    const advice = rule(c);
+    if (advice) return { text: advice.text, replaces: advice.replaces ?? [] };
+  }
+  return null;
+}
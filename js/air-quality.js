@@ -0,0 +1,145 @@
+// /js/air-quality.js
+// ============================================================
+// AIR QUALITY — US AQI categories, smoke vs. ozone, outlook notes
+//
+// Hourly data comes from /api/air-quality (Open‑Meteo / CAMS) on
+// the same Eastern wall‑clock timestamps as the hourly forecast.
+// ============================================================
+
+import { currentHourIndex, formatHour } from './forecast-time.js';
+
+// EPA breakpoints — `max` is the top of each category
+export const AQI_CATEGORIES = [
+  { max: 50, key: "good", label: "Good" },
+  { max: 100, key: "moderate", label: "Moderate" },
+  { max: 150, key: "usg", label: "Unhealthy for Sensitive Groups" },
+  { max: 200, key: "unhealthy", label: "Unhealthy" },
+  { max: 300, key: "very-unhealthy", label: "Very Unhealthy" },
+  { max: Infinity, key: "hazardous", label: "Hazardous" }
+];
+
+// Sensitive groups start to feel it here …
+export const AQI_SENSITIVE = 101;
+
+// … and everyone does here (feeds the dominant‑factor ranking)
+export const AQI_UNHEALTHY = 151;
+
+// PM2.5 this high (µg/m³) in the mountains is almost always smoke
+const SMOKE_PM25 = 35.5;
+
+// ------------------------------------------------------------
+// CATEGORIES
+// ------------------------------------------------------------
+
+/**
+ * { key, label, class } for a US AQI value, or null.
+ */
+export function getAqiCategory(aqi) {
+  if (aqi == null) return null;
+  const cat = AQI_CATEGORIES.find(c => aqi <= c.max);
+  return { key: cat.key, label: cat.label, class: `aqi-${cat.key}` };
+}
+
+// Which pollutant sets the overall AQI for an hour
+function dominantPollutant(aq, i) {
+  const pm = aq.us_aqi_pm2_5?.[i] ?? null;
+  const o3 = aq.us_aqi_ozone?.[i] ?? null;
+  if (pm == null && o3 == null) return null;
+  return (pm ?? -1) >= (o3 ?? -1) ? "pm2_5" : "ozone";
+}
+
+function readHour(aq, i) {
+  const aqi = aq.us_aqi?.[i] ?? null;
+  if (aqi == null) return null;
+
+  const pollutant = dominantPollutant(aq, i);
+  const pm25 = aq.pm2_5?.[i] ?? null;
+
+  return {
+    time: aq.time[i],
+    aqi: Math.round(aqi),
+    category: getAqiCategory(aqi),
+    pollutant,
+    pm25,
+    ozone: aq.ozone?.[i] ?? null,
+    smoke: pollutant === "pm2_5" && pm25 != null && pm25 >= SMOKE_PM25
+  };
+}
+
+// ------------------------------------------------------------
+// WINDOWS
+// ------------------------------------------------------------
+
+/**
+ * Worst hour among the given forecast timestamps, or null when
+ * the air‑quality series doesn't cover them.
+ */
+export function peakAirQuality(aq, times = []) {
+  if (!aq?.time?.length) return null;
+
+  const wanted = new Set(times);
+  let peak = null;
+
+  aq.time.forEach((t, i) => {
+    if (!wanted.has(t)) return;
+    const hour = readHour(aq, i);
+    if (hour && (!peak || hour.aqi > peak.aqi)) peak = hour;
+  });
+
+  return peak;
+}
+
+/**
+ * Current hour + the worst of the next 12, for the tile and micro‑advice.
+ * Returns { ...currentHour, peak } or null.
+ */
+export function buildAirQuality(aq, now = new Date()) {
+  if (!aq?.time?.length) return null;
+
+  const idx = currentHourIndex(aq, now);
+  const current = readHour(aq, idx);
+  if (!current) return null;
+
+  return {
+    ...current,
+    peak: peakAirQuality(aq, aq.time.slice(idx, idx + 12))
+  };
+}
+
+// ------------------------------------------------------------
+// PHRASES
+// ------------------------------------------------------------
+
+/**
+ * "PM2.5 (smoke)" / "PM2.5" / "ozone"
+ */
+export function describePollutant(reading) {
+  if (!reading?.pollutant) return "";
+  if (reading.pollutant === "ozone") return "ozone";
+  return reading.smoke ? "PM2.5 (smoke)" : "PM2.5";
+}
+
+/**
+ * Outlook bullet once air reaches the sensitive‑groups level, else null.
+ *   "😷 Air quality Unhealthy (AQI 162) — likely wildfire smoke; limit strenuous outdoor activity."
+ */
+export function airQualityBullet(peak) {
+  if (!peak || peak.aqi < AQI_SENSITIVE) return null;
+
+  const cause = peak.smoke
+    ? " — likely wildfire smoke"
+    : peak.pollutant === "ozone" ? ` — ozone peaks around ${formatHour(peak.time)}` : "";
+
+  const advice = peak.aqi >= AQI_UNHEALTHY
+    ? "limit strenuous outdoor activity"
+    : "go easier outdoors if you have asthma or heart or lung conditions";
+
+  return `😷 Air quality ${peak.category.label} (AQI ${peak.aqi})${cause}; ${advice}.`;
+}
+
+/**
+ * Badge for an unhealthy‑air day: "Unhealthy Air", "Hazardous Air" …
+ */
+export function airQualityBadge(peak) {
+  return { text: `${peak.category.label} Air`, class: "badge-air" };
+}
@@ -0,0 +1,105 @@
+// /js/alerts.js
+// ============================================================
+// NWS ALERTS — window matching, headlines, timing phrases
+// ============================================================
+
+import { FORECAST_TZ } from './forecast-time.js';
+
+// Action headlines for the events we see most in the 828
+const EVENT_HEADLINES = [
+  [/tornado/i, "Know where you’ll shelter."],
+  [/severe thunderstorm/i, "Have a plan to get indoors fast."],
+  [/flash flood|flood/i, "Never drive through flooded roads."],
+  [/winter storm|blizzard|ice storm/i, "Avoid travel if you can."],
+  [/winter weather|freezing/i, "Allow extra travel time."],
+  // Ahead of wind so a "Wind Chill Warning" isn't read as a wind event
+  [/wind chill|extreme cold|cold weather/i, "Cover exposed skin — frostbite sets in fast."],
+  [/high wind|wind/i, "Secure loose outdoor items."],
+  [/heat/i, "Limit time in the heat."],
+  [/fire|red flag/i, "No outdoor burning."],
+  [/frost|freeze/i, "Protect tender plants."],
+  [/fog/i, "Slow down — low visibility."]
+];
+
+const EVENT_EMOJI = [
+  [/tornado/i, "🌪️"],
+  [/thunderstorm/i, "⛈️"],
+  [/flood/i, "🌊"],
+  [/winter|blizzard|ice|snow|freezing/i, "🧊"],
+  [/wind chill|extreme cold|cold weather/i, "🥶"],
+  [/wind/i, "💨"],
+  [/heat/i, "🥵"],
+  [/fire|red flag/i, "🔥"],
+  [/frost|freeze/i, "❄️"],
+  [/fog/i, "🌫️"]
+];
+
+function matchFirst(table, event, fallback) {
+  const hit = table.find(([re]) => re.test(event || ""));
+  return hit ? hit[1] : fallback;
+}
+
+function shortTime(iso) {
+  const d = new Date(iso);
+  const time = d.toLocaleTimeString("en-US", { timeZone: FORECAST_TZ, hour: "numeric", minute: "2-digit" }).replace(":00", "");
+  const day = d.toLocaleDateString("en-US", { timeZone: FORECAST_TZ, weekday: "short" });
+  return `${time} ${day}`;
+}
+
+// ------------------------------------------------------------
+// WINDOW MATCHING
+// ------------------------------------------------------------
+
+/**
+ * Alerts in effect at any point between `start` and `end` (Dates).
+ */
+export function alertsForWindow(alerts, start, end) {
+  return (alerts || []).filter(a => {
+    const from = a.onset ? new Date(a.onset) : new Date(0);
+    const to = a.ends ? new Date(a.ends) : new Date(8.64e15);
+    return from <= end && to >= start;
+  });
+}
+
+/**
+ * The warning that should drive an outlook, or null.
+ * Watches and advisories inform, but only warnings override the day.
+ */
+export function getDominantAlert(alerts) {
+  // /api/alerts already sorts most serious first
+  return (alerts || []).find(a => a.level === "warning") ?? null;
+}
+
+// ------------------------------------------------------------
+// PHRASES
+// ------------------------------------------------------------
+export function alertHeadline(alert) {
+  return matchFirst(EVENT_HEADLINES, alert?.event, "Follow official guidance.");
+}
+
+export function alertEmoji(alert) {
+  return matchFirst(EVENT_EMOJI, alert?.event, "⚠️");
+}
+
+/**
+ * "until 6 PM Sun" / "from 7 PM Sat until 6 PM Sun"
+ */
+export function describeAlertTiming(alert, now = new Date()) {
+  if (!alert) return "";
+
+  const onset = alert.onset ? new Date(alert.onset) : null;
+  const until = alert.ends ? `until ${shortTime(alert.ends)}` : "";
+
+  if (onset && onset > now) {
+    return `from ${shortTime(alert.onset)}${until ? " " + until : ""}`;
+  }
+  return until;
+}
+
+/**
+ * "⚠️ Winter Storm Warning from 7 PM Sat until 6 PM Sun."
+ */
+export function alertBullet(alert) {
+  const timing = describeAlertTiming(alert);
+  return `⚠️ ${alert.event}${timing ? " " + timing : ""}.`;
+}
@@ -1,24 +1,72 @@
 // /js/app.js
 
 import {
-  getNearestWUStation,
-  getWUCurrentConditions,
+  getWUConsensusConditions,
   getShortTermForecast,
-  getMRMSPixel
+  getMRMSPixel,
+  getElevations,
+  getModelEnsemble,
+  getActiveAlerts,
+  getExtendedForecast,
+  getAirQuality,
+  getSpotForecasts,
+  getNowcast
 } from './weather-fetch.js';
 
+import { PARKWAY_LANDMARKS } from './data/parkway-landmarks.js';
+
+import { buildElevationContext, metersToFeet } from './elevation.js';
+
+import { saveSnapshot, loadSnapshot, describeAge } from './offline-cache.js';
+
+import {
+  initLocationPicker,
+  getBrowserLocation,
+  getLastPlace,
+  setLastPlace
+} from './location.js';
+
+import { createRefreshScheduler } from './refresh-scheduler.js';
+
+import { getUnitSystem, setUnitSystem } from './units.js';
+
+import { ACTIVITIES, getActivity, setActivity } from './activity-profiles.js';
+
+import { initNotificationSettings, checkNotifications } from './notifications.js';
+
 import { buildWeatherIntel } from './forecast-intel-plus.js';
 
 import {
   renderRightNowComfort,
   renderTodayOutlook,
+  renderMicroAdvice,
   renderTomorrowOutlook,
+  renderExtendedOutlook,
+  renderUpHigh,
   renderUV,
+  renderAirQuality,
   renderTodayDetail,
   renderTomorrowDetail,
-  renderCurrentObservations   // ⭐ ADD THIS
+  renderCurrentObservations,   // ⭐ ADD THIS
+  renderAlerts
 } from './weather-render.js';
 
+// How many nearby PWS stations to blend (1 = trust the nearest station only)
+const WU_STATION_COUNT = 5;
+
+// Refresh cadence per source
+const REFRESH_MS = {
+  wuCurrent: 5 * 60 * 1000,   // PWS observations
+  mrmsPixel: 2 * 60 * 1000,   // MRMS updates every 2 minutes
+  hourly: 60 * 60 * 1000,     // Open‑Meteo model runs
+  models: 60 * 60 * 1000,     // multi‑model comparison
+  daily: 60 * 60 * 1000,      // extended (daily) forecast
+  airQuality: 60 * 60 * 1000, // hourly AQI (CAMS runs are slow to change)
+  landmarks: 60 * 60 * 1000,  // Parkway spot forecasts
+  nowcast: 10 * 60 * 1000,    // 15‑minute precip for "rain starting soon"
+  alerts: 5 * 60 * 1000       // NWS watches / warnings
+};
+
 // ------------------------------------------------------------
 // STATUS + ERROR HELPERS (moved here from old renderer)
 // ------------------------------------------------------------
@@ -31,10 +79,18 @@ function setWUStatus(state, label, text) {
   lbl.textContent = label;
   txt.textContent = text;
 
-  dot.classList.remove("ok", "error");
+  dot.classList.remove("ok", "error", "stale");
+  badge.classList.toggle("badge-stale", state === "stale");
 
   if (state === "ok") dot.classList.add("ok");
   if (state === "error") dot.classList.add("error");
+  if (state === "stale") dot.classList.add("stale");
+}
+
+function showStaleBanner(text) {
+  const el = document.getElementById("stale-banner");
+  el.style.display = text ? "block" : "none";
+  el.textContent = text || "";
 }
 
 function showWUError(msg) {
@@ -43,31 +99,87 @@ function showWUError(msg) {
   el.textContent = msg;
 }
 
+function hideWUError() {
+  const el = document.getElementById("wu-error");
+  el.style.display = "none";
+  el.textContent = "";
+}
+
 // ------------------------------------------------------------
-// MASTER UI UPDATE FUNCTION
+// ELEVATION CONTEXT (user point vs. station vs. forecast grid)
 // ------------------------------------------------------------
-function updateUI(intel) {
-  // Right Now Comfort
-  renderRightNowComfort(intel);
+let elevationMemo = { key: null, value: null };
 
-  // Today + Tomorrow
-  renderTodayOutlook(intel);
-  renderTomorrowOutlook(intel);
+async function loadElevationContext(lat, lon, wuCurrent, hourly) {
+  const needsStation = wuCurrent.elevation == null && wuCurrent.stationLat != null;
 
-  // UV
-  renderUV(intel);
+  // Terrain doesn't move — only look up again when an input point changes
+  const key = [lat, lon, wuCurrent.elevation, needsStation && wuCurrent.stationLat, hourly.gridElevationM].join("|");
+  if (elevationMemo.key === key) return elevationMemo.value;
 
-  // Expanded panels
-  renderTodayDetail(intel);
-  renderTomorrowDetail(intel);
+  try {
+    const points = [{ lat, lon }];
+    if (needsStation) points.push({ lat: wuCurrent.stationLat, lon: wuCurrent.stationLon });
 
-  // ⭐ Add this line
-  renderCurrentObservations(intel);
+    const [userM, stationM] = await getElevations(points);
 
-  // Station footer
+    const value = buildElevationContext({
+      userFt: metersToFeet(userM),
+      stationFt: needsStation ? metersToFeet(stationM) : wuCurrent.elevation,
+      gridFt: metersToFeet(hourly.gridElevationM)
+    });
+
+    elevationMemo = { key, value };
+    return value;
+  } catch (err) {
+    // No elevation → no adjustment; everything else still works
+    console.warn("Elevation lookup failed:", err);
+    return null;
+  }
+}
+
+// ------------------------------------------------------------
+// MASTER UI UPDATE FUNCTION
+// ------------------------------------------------------------
+
+// Each renderer + the intel keys it reads. Order matters: the
+// current‑observations renderer also writes the UV tile, after renderUV.
+const RENDER_PLAN = [
+  { keys: ["alerts"], render: renderAlerts },
+  { keys: ["rightNowComfort"], render: renderRightNowComfort },
+  { keys: ["today"], render: renderTodayOutlook },
+  { keys: ["microAdvice"], render: renderMicroAdvice },
+  { keys: ["tomorrow"], render: renderTomorrowOutlook },
+  { keys: ["extended"], render: renderExtendedOutlook },
+  { keys: ["upHigh"], render: renderUpHigh },
+  { keys: ["uv", "wu"], render: renderUV },
+  { keys: ["airQuality"], render: renderAirQuality },
+  { keys: ["todayDetail"], render: renderTodayDetail },
+  { keys: ["tomorrowDetail"], render: renderTomorrowDetail },
+  { keys: ["wu", "uv", "feelsLike"], render: renderCurrentObservations },
+  { keys: ["wu"], render: renderStationFooter }
+];
+
+/**
+ * Render intel. With `prevIntel`, only renderers whose inputs changed run.
+ */
+function updateUI(intel, prevIntel = null) {
+  const changed = (key) =>
+    !prevIntel || JSON.stringify(prevIntel[key]) !== JSON.stringify(intel[key]);
+
+  for (const step of RENDER_PLAN) {
+    if (step.keys.some(changed)) step.render(intel);
+  }
+}
+
+function renderStationFooter(intel) {
   const footer = document.getElementById("wu-station-footer");
-  if (intel.wu?.stationId) {
+  if (intel.wu?.consensus && intel.wu.stations.length > 1) {
+    footer.textContent = `Live data blended from ${intel.wu.stations.length} Weather Underground stations`;
+    footer.title = intel.wu.stations.join(", ");
+  } else if (intel.wu?.stationId) {
     footer.textContent = `Live data from Weather Underground Station ${intel.wu.stationId}`;
+    footer.title = "";
   }
 }
 
@@ -82,58 +194,389 @@ window.toggleForecastExpanded = toggleForecastExpanded;
 // ------------------------------------------------------------
 document.addEventListener("DOMContentLoaded", initApp);
 
+let picker = null;
+let scheduler = null;
+
+// What's on screen right now: the place, its raw inputs and the intel built from them
+let current = { place: null, inputs: null, intel: null, wuUpdatedAt: null };
+
+// Bumped by every loadWeatherFor; an older load that finishes late is dropped
+let loadSeq = 0;
+
 async function initApp() {
-  if (!navigator.geolocation) {
-    showWUError("Geolocation is not supported by this browser.");
-    return;
+  registerServiceWorker();
+
+  scheduler = createRefreshScheduler({
+    onResults: applyRefresh,
+    onError: (key, err) => {
+      console.warn(`Refresh of ${key} failed:`, err);
+      if (key === "wuCurrent" && current.wuUpdatedAt) {
+        setWUStatus("stale", "Reconnecting", `Live data from ${describeAge(Date.now() - current.wuUpdatedAt)} — retrying.`);
+      }
+    }
+  });
+
+  initUnitsToggle();
+  initActivityPicker();
+  initNotificationSettings();
+
+  picker = initLocationPicker({
+    onSelect: (place) => {
+      if (place.source === "gps-request") useBrowserLocation({ fallback: false });
+      else loadWeatherFor(place);
+    }
+  });
+
+  await useBrowserLocation({ fallback: true });
+}
+
+// ------------------------------------------------------------
+// UNITS TOGGLE (°F ⇄ °C) — intel text carries units, so rebuild it
+// ------------------------------------------------------------
+function initUnitsToggle() {
+  const btn = document.getElementById("units-toggle");
+  if (!btn) return;
+
+  const label = () => {
+    btn.textContent = getUnitSystem() === "metric" ? "°C" : "°F";
+  };
+  label();
+
+  btn.addEventListener("click", () => {
+    setUnitSystem(getUnitSystem() === "metric" ? "imperial" : "metric");
+    label();
+    rebuildIntel();
+  });
+}
+
+// ------------------------------------------------------------
+// ACTIVITY PICKER (micro‑advice profile) — same rebuild as units
+// ------------------------------------------------------------
+function initActivityPicker() {
+  const row = document.getElementById("activity-chips");
+  if (!row) return;
+
+  // The chips sit inside the Today card — picking one shouldn't expand it
+  row.addEventListener("click", (event) => event.stopPropagation());
+
+  const buttons = ACTIVITIES.map(({ key, label, emoji }) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "location-chip";
+    btn.dataset.activity = key;
+    btn.textContent = `${emoji} ${label}`;
+
+    btn.addEventListener("click", () => {
+      if (key === getActivity()) return;
+      setActivity(key);
+      mark();
+      rebuildIntel();
+    });
+
+    row.appendChild(btn);
+    return btn;
+  });
+
+  const mark = () => {
+    buttons.forEach(b => b.classList.toggle("active", b.dataset.activity === getActivity()));
+  };
+  mark();
+}
+
+// Rebuild intel from the inputs on screen after a display preference changes
+function rebuildIntel() {
+  const { inputs } = current;
+  if (inputs?.wuCurrent && inputs?.hourly) {
+    current.intel = buildWeatherIntel(inputs);
   }
+  if (!current.intel) return;
 
+  window._intel = current.intel;
+  updateUI(current.intel);
+}
+
+// ------------------------------------------------------------
+// LOCATION RESOLUTION
+// ------------------------------------------------------------
+async function useBrowserLocation({ fallback }) {
   setWUStatus("pending", "Requesting Location", "Waiting for permission…");
 
-  navigator.geolocation.getCurrentPosition(
-    async (pos) => {
-      const lat = pos.coords.latitude;
-      const lon = pos.coords.longitude;
+  // A place picked while the permission prompt is up wins over the GPS fix
+  const seq = loadSeq;
 
-      try {
-        // ⭐ 1. WU Station + Current Conditions
-        const nearest = await getNearestWUStation(lat, lon);
-        const wuCurrent = await getWUCurrentConditions(nearest.stationId);
+  try {
+    const place = await getBrowserLocation();
+    if (seq !== loadSeq) return;
+    await loadWeatherFor(place);
+  } catch (err) {
+    if (seq !== loadSeq) return;
+    console.error("Geolocation error:", err);
 
-        setWUStatus("ok", "WU Connected", "Weather Underground data loaded.");
+    // Desktop / denied permission → last place, else ask
+    const last = fallback ? getLastPlace() : null;
+    if (last) {
+      await loadWeatherFor(last);
+      return;
+    }
 
-        // ⭐ 2. Hourly Forecast
-        const hourly = await getShortTermForecast(lat, lon);
+    setWUStatus("error", "Location Needed", "Pick a place to see its weather.");
+    picker.open(
+      navigator.geolocation
+        ? "We couldn’t access your location. Pick a place below or enter coordinates."
+        : "Geolocation isn’t supported here. Pick a place below or enter coordinates."
+    );
+  }
+}
 
-        // ⭐ 3. MRMS Radar Pixel
-        const mrmsPixel = await getMRMSPixel(lat, lon);
+// ------------------------------------------------------------
+// FETCH → INTEL → UI PIPELINE
+// ------------------------------------------------------------
+async function loadWeatherFor(place) {
+  const { lat, lon } = place;
+  const seq = ++loadSeq;
+  const superseded = () => seq !== loadSeq;
 
-        // ⭐ 4. Build Unified Intelligence
-        const intel = buildWeatherIntel({
-          wuCurrent,
-          hourly,
-          mrmsPixel
-        });
+  // Drop the old place's schedule (and any refresh still in flight)
+  scheduler.setSources({});
 
-        // Make intel globally accessible for expansion panels
-        window._intel = intel;
+  hideWUError();
+  showStaleBanner(null);
+  picker.setCurrent(place);
+  setLastPlace(place.source === "gps" ? { ...place, name: "Your last location" } : place);
+  setWUStatus("pending", "Loading", `Fetching weather for ${place.name}…`);
 
-        // ⭐ 5. Update UI
-        updateUI(intel);
+  try {
+    // ⭐ 1. Optional sources start now, alongside the required ones —
+    //    each is allowed to fail on its own (see OPTIONAL_SOURCES)
+    const optional = loadOptionalSources(place);
 
-      } catch (err) {
-        console.error("Weather init error:", err);
-        setWUStatus("error", "Data Error", "Unable to load weather data.");
-        showWUError("Unable to load weather data. Please try again later.");
-      }
-    },
+    // ⭐ 2. WU Stations + Blended Current Conditions
+    const wuCurrent = await getWUConsensusConditions(lat, lon, WU_STATION_COUNT);
+    if (superseded()) return;
+
+    setWUStatus("ok", "WU Connected", `Weather Underground data loaded for ${place.name}.`);
+
+    // ⭐ 3. Hourly Forecast
+    const hourly = await getShortTermForecast(lat, lon);
+
+    // ⭐ 4. Elevation (user vs. station vs. grid)
+    const elevation = await loadElevationContext(lat, lon, wuCurrent, hourly);
+
+    // ⭐ 5. Radar pixel, models, alerts, extended, air quality,
+    //    landmarks and nowcast — whatever has landed by now
+    const { mrmsPixel, models, alerts, daily, airQuality, landmarks, nowcast } = await optional;
+
+    // Another place was picked while this one loaded — its load owns the screen
+    if (superseded()) return;
+
+    // ⭐ 6. Build Unified Intelligence
+    const intel = buildWeatherIntel({
+      wuCurrent,
+      hourly,
+      mrmsPixel,
+      elevation,
+      models,
+      alerts,
+      daily,
+      airQuality,
+      landmarks
+    });
+
+    // Make intel globally accessible for expansion panels
+    window._intel = intel;
+
+    // ⭐ 7. Update UI
+    updateUI(intel);
+
+    // ⭐ 8. Keep a copy for offline use
+    const inputs = { wuCurrent, hourly, mrmsPixel, elevation, models, alerts, daily, airQuality, landmarks, nowcast };
+    saveSnapshot({ place, inputs, intel });
+
+    // ⭐ 9. Rain‑soon / gust notifications (opt‑in)
+    notify(inputs);
+
+    // ⭐ 10. Keep it fresh
+    current = { place, inputs, intel, wuUpdatedAt: Date.now() };
+    scheduler.setSources(refreshSourcesFor(place), { fresh: true });
+
+  } catch (err) {
+    if (superseded()) return;
+    console.error("Weather init error:", err);
+
+    // Keep retrying on the normal cadence either way
+    current = { place, inputs: null, intel: null, wuUpdatedAt: null };
+    scheduler.setSources(refreshSourcesFor(place), { fresh: false });
 
-    (err) => {
-      console.error("Geolocation error:", err);
-      setWUStatus("error", "Location Error", "Location permission denied.");
-      showWUError("We couldn’t access your location. Please enable location services and reload.");
+    if (renderSnapshot(place)) return;
+
+    setWUStatus("error", "Data Error", "Unable to load weather data.");
+    showWUError("Unable to load weather data. Please try again later.");
+  }
+}
+
+// Sources the page works without, and what stands in when one fails
+const OPTIONAL_SOURCES = {
+  mrmsPixel: { label: "MRMS radar pixel", load: ({ lat, lon }) => getMRMSPixel(lat, lon), fallback: { rate: 0, type: "none", intensity: "none" } },
+  models: { label: "Model comparison", load: ({ lat, lon }) => getModelEnsemble(lat, lon), fallback: null },
+  alerts: { label: "NWS alerts", load: ({ lat, lon }) => getActiveAlerts(lat, lon), fallback: [] },
+  daily: { label: "Extended forecast", load: ({ lat, lon }) => getExtendedForecast(lat, lon), fallback: null },
+  airQuality: { label: "Air quality", load: ({ lat, lon }) => getAirQuality(lat, lon), fallback: null },
+  landmarks: { label: "Landmark forecasts", load: () => getSpotForecasts(PARKWAY_LANDMARKS), fallback: null },
+  nowcast: { label: "Nowcast", load: ({ lat, lon }) => getNowcast(lat, lon), fallback: null }
+};
+
+/**
+ * Start every optional fetch at once. Resolves to { key: value }, with
+ * each source's fallback in place of a failure — never rejects.
+ */
+async function loadOptionalSources(place) {
+  const keys = Object.keys(OPTIONAL_SOURCES);
+  const results = await Promise.allSettled(keys.map(k => OPTIONAL_SOURCES[k].load(place)));
+
+  return Object.fromEntries(results.map((r, i) => {
+    const { label, fallback } = OPTIONAL_SOURCES[keys[i]];
+    if (r.status === "fulfilled") return [keys[i], r.value];
+
+    console.warn(`${label} unavailable:`, r.reason);
+    return [keys[i], fallback];
+  }));
+}
+
+// ------------------------------------------------------------
+// PERIODIC REFRESH
+// ------------------------------------------------------------
+function refreshSourcesFor({ lat, lon }) {
+  return {
+    wuCurrent: {
+      intervalMs: REFRESH_MS.wuCurrent,
+      load: () => getWUConsensusConditions(lat, lon, WU_STATION_COUNT),
+      onFocus: true
+    },
+    mrmsPixel: {
+      intervalMs: REFRESH_MS.mrmsPixel,
+      load: () => getMRMSPixel(lat, lon),
+      onFocus: true
+    },
+    hourly: {
+      intervalMs: REFRESH_MS.hourly,
+      load: () => getShortTermForecast(lat, lon)
+    },
+    models: {
+      intervalMs: REFRESH_MS.models,
+      load: () => getModelEnsemble(lat, lon)
+    },
+    alerts: {
+      intervalMs: REFRESH_MS.alerts,
+      load: () => getActiveAlerts(lat, lon)
+    },
+    daily: {
+      intervalMs: REFRESH_MS.daily,
+      load: () => getExtendedForecast(lat, lon)
+    },
+    airQuality: {
+      intervalMs: REFRESH_MS.airQuality,
+      load: () => getAirQuality(lat, lon)
+    },
+    landmarks: {
+      intervalMs: REFRESH_MS.landmarks,
+      load: () => getSpotForecasts(PARKWAY_LANDMARKS)
+    },
+    nowcast: {
+      intervalMs: REFRESH_MS.nowcast,
+      load: () => getNowcast(lat, lon)
     }
-  );
+  };
+}
+
+/**
+ * Merge freshly loaded sources into the current inputs, rebuild intel,
+ * and re‑render only what changed.
+ */
+async function applyRefresh(values) {
+  const { place } = current;
+  const inputs = { ...(current.inputs || {}), ...values };
+
+  // Intel needs observations + forecast; radar alone isn't enough
+  if (!inputs.wuCurrent || !inputs.hourly) {
+    current = { ...current, inputs };
+    return;
+  }
+
+  if (values.wuCurrent || values.hourly || !("elevation" in inputs)) {
+    inputs.elevation = await loadElevationContext(place.lat, place.lon, inputs.wuCurrent, inputs.hourly);
+  }
+
+  // The user may have switched places while elevation was loading
+  if (current.place !== place) return;
+
+  const intel = buildWeatherIntel(inputs);
+  const fromSnapshot = !current.intel;
+
+  window._intel = intel;
+  updateUI(intel, fromSnapshot ? null : current.intel);
+  saveSnapshot({ place, inputs, intel });
+
+  if (values.nowcast || values.mrmsPixel || values.hourly) notify(inputs);
+
+  current = {
+    place,
+    inputs,
+    intel,
+    wuUpdatedAt: values.wuCurrent ? Date.now() : current.wuUpdatedAt
+  };
+
+  if (values.wuCurrent) {
+    hideWUError();
+    showStaleBanner(null);
+    const time = new Date().toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+    setWUStatus("ok", "WU Connected", `Updated ${time} for ${place.name}.`);
+  }
+}
+
+// Notifications are a bonus — never let them break a refresh
+function notify(inputs) {
+  checkNotifications(inputs).catch(err => console.warn("Notification check failed:", err));
+}
+
+// ------------------------------------------------------------
+// OFFLINE FALLBACK — last known intel, stamped with its age
+// ------------------------------------------------------------
+function renderSnapshot(place) {
+  const snap = loadSnapshot(place);
+  if (!snap) return false;
+
+  // Re‑run intel on the saved inputs so "today" windows match the clock;
+  // fall back to the stored intel if that fails.
+  let intel = snap.intel;
+  try {
+    if (snap.inputs) intel = buildWeatherIntel(snap.inputs);
+  } catch (err) {
+    console.warn("Rebuilding cached intel failed:", err);
+  }
+
+  const age = describeAge(snap.ageMs);
+  const savedTime = new Date(snap.savedAt).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+
+  window._intel = intel;
+  updateUI(intel);
+
+  // Partial refreshes merge into the saved inputs until everything is live again
+  current = { ...current, inputs: snap.inputs ? { ...snap.inputs } : null };
+
+  setWUStatus("stale", "Offline", `Showing saved data from ${age}.`);
+  showStaleBanner(`⚠️ Offline — conditions as of ${savedTime} (${age}). We’ll refresh when you’re back online.`);
+  return true;
+}
+
+// ------------------------------------------------------------
+// SERVICE WORKER (app shell offline cache)
+// ------------------------------------------------------------
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker.register("/sw.js").catch(err => {
+    console.warn("Service worker registration failed:", err);
+  });
 }
 
 // ------------------------------------------------------------
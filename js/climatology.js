@@ -0,0 +1,103 @@
+// /js/climatology.js
+// ============================================================
+// CLIMATOLOGY — KAVL daily normals, records, departures
+// ============================================================
+
+import { KAVL_CLIMATE } from './data/kavl-climate.js';
+import { dayKey as zonedDayKey } from './forecast-time.js';
+import { formatTemp, formatTempDelta } from './units.js';
+
+// Departures smaller than this are just weather, not news
+const NOTABLE_DEPARTURE = 8;  // °F
+
+// Forecasts this close to a record get called out
+const NEAR_RECORD = 2;        // °F
+
+// ------------------------------------------------------------
+// LOOKUP
+// ------------------------------------------------------------
+// "10-19" — the Eastern calendar day, whatever zone the viewer is in
+function dayKey(date) {
+  return zonedDayKey(date).slice(5);
+}
+
+/**
+ * Normals + records for a calendar day at KAVL.
+ * Record fields are null until the data file carries them.
+ */
+export function getDayClimate(date = new Date()) {
+  const row = KAVL_CLIMATE.days[dayKey(date)];
+  if (!row) return null;
+
+  const [normalHigh, normalLow, recordHigh, recordHighYear, recordLow, recordLowYear] = row;
+  return { normalHigh, normalLow, recordHigh, recordHighYear, recordLow, recordLowYear };
+}
+
+// ------------------------------------------------------------
+// COMPARISON
+// ------------------------------------------------------------
+function nearRecordHigh(high, day) {
+  if (high == null || day.recordHigh == null) return null;
+  if (high < day.recordHigh - NEAR_RECORD) return null;
+  return { kind: "high", value: day.recordHigh, year: day.recordHighYear, broken: high >= day.recordHigh };
+}
+
+function nearRecordLow(low, day) {
+  if (low == null || day.recordLow == null) return null;
+  if (low > day.recordLow + NEAR_RECORD) return null;
+  return { kind: "low", value: day.recordLow, year: day.recordLowYear, broken: low <= day.recordLow };
+}
+
+/**
+ * Compare a forecast high/low (°F, either may be null) with the
+ * normals and records for `date`.
+ * Returns { ...day, high, low, highDeparture, lowDeparture, nearRecord, notable } or null.
+ */
+export function compareToClimate({ high = null, low = null }, date = new Date()) {
+  const day = getDayClimate(date);
+  if (!day) return null;
+
+  const highDeparture = high != null ? Math.round(high - day.normalHigh) : null;
+  const lowDeparture = low != null ? Math.round(low - day.normalLow) : null;
+
+  const nearRecord = nearRecordHigh(high, day) ?? nearRecordLow(low, day);
+
+  const notable =
+    nearRecord != null ||
+    Math.abs(highDeparture ?? 0) >= NOTABLE_DEPARTURE ||
+    Math.abs(lowDeparture ?? 0) >= NOTABLE_DEPARTURE;
+
+  return { ...day, high, low, highDeparture, lowDeparture, nearRecord, notable };
+}
+
+// ------------------------------------------------------------
+// PHRASES
+// ------------------------------------------------------------
+function describeRecord(rec) {
+  const emoji = rec.kind === "high" ? "🔥" : "🧊";
+  const record = `record ${rec.kind} of ${formatTemp(rec.value)}${rec.year ? ` (${rec.year})` : ""}`;
+
+  return rec.broken
+    ? `${emoji} Could tie or break the ${record}.`
+    : `${emoji} Within ${formatTempDelta(NEAR_RECORD)} of the ${record}.`;
+}
+
+/**
+ * One sentence for an outlook bullet, or null when the day
+ * is unremarkable for the date. Records beat departures; the
+ * high beats the low.
+ */
+export function describeClimate(ctx) {
+  if (!ctx?.notable) return null;
+  if (ctx.nearRecord) return describeRecord(ctx.nearRecord);
+
+  const hi = ctx.highDeparture;
+  if (hi != null && Math.abs(hi) >= NOTABLE_DEPARTURE) {
+    const dir = hi > 0 ? "warmer" : "colder";
+    return `About ${formatTempDelta(hi)} ${dir} than normal for the date (normal high ${formatTemp(ctx.normalHigh)}).`;
+  }
+
+  const lo = ctx.lowDeparture;
+  const feel = lo > 0 ? "Mild" : "Chilly";
+  return `${feel} night for the date — the normal low is ${formatTemp(ctx.normalLow)}.`;
+}
@@ -0,0 +1,383 @@
+// /js/data/kavl-climate.js
+// Bundled climatology for Asheville (KAVL).
+//
+// Until scripts/build-climate.mjs is run against NOAA ACIS, the daily
+// normals here are interpolated from the 1991–2020 monthly normals
+// (mid‑month anchors, smooth periodic curve) and records are unset.
+
+export const KAVL_CLIMATE = {
+  station: "KAVL",
+  normalsPeriod: "1991–2020",
+  recordsPeriod: null,
+  source: "NOAA 1991–2020 monthly normals, interpolated to days",
+
+  // "MM-DD": [normalHigh, normalLow, recordHigh, recordHighYear, recordLow, recordLowYear]
+  days: {
+    "01-01": [48, 29, null, null, null, null],
+    "01-02": [47, 29, null, null, null, null],
+    "01-03": [47, 29, null, null, null, null],
+    "01-04": [47, 28, null, null, null, null],
+    "01-05": [47, 28, null, null, null, null],
+    "01-06": [47, 28, null, null, null, null],
+    "01-07": [47, 28, null, null, null, null],
+    "01-08": [47, 28, null, null, null, null],
+    "01-09": [47, 28, null, null, null, null],
+    "01-10": [47, 28, null, null, null, null],
+    "01-11": [47, 28, null, null, null, null],
+    "01-12": [47, 28, null, null, null, null],
+    "01-13": [47, 28, null, null, null, null],
+    "01-14": [47, 28, null, null, null, null],
+    "01-15": [47, 28, null, null, null, null],
+    "01-16": [47, 28, null, null, null, null],
+    "01-17": [47, 28, null, null, null, null],
+    "01-18": [47, 28, null, null, null, null],
+    "01-19": [47, 28, null, null, null, null],
+    "01-20": [47, 28, null, null, null, null],
+    "01-21": [47, 28, null, null, null, null],
+    "01-22": [47, 28, null, null, null, null],
+    "01-23": [47, 28, null, null, null, null],
+    "01-24": [48, 28, null, null, null, null],
+    "01-25": [48, 28, null, null, null, null],
+    "01-26": [48, 29, null, null, null, null],
+    "01-27": [48, 29, null, null, null, null],
+    "01-28": [48, 29, null, null, null, null],
+    "01-29": [48, 29, null, null, null, null],
+    "01-30": [48, 29, null, null, null, null],
+    "01-31": [48, 29, null, null, null, null],
+    "02-01": [49, 29, null, null, null, null],
+    "02-02": [49, 29, null, null, null, null],
+    "02-03": [49, 29, null, null, null, null],
+    "02-04": [49, 30, null, null, null, null],
+    "02-05": [49, 30, null, null, null, null],
+    "02-06": [49, 30, null, null, null, null],
+    "02-07": [50, 30, null, null, null, null],
+    "02-08": [50, 30, null, null, null, null],
+    "02-09": [50, 30, null, null, null, null],
+    "02-10": [50, 30, null, null, null, null],
+    "02-11": [50, 30, null, null, null, null],
+    "02-12": [50, 31, null, null, null, null],
+    "02-13": [51, 31, null, null, null, null],
+    "02-14": [51, 31, null, null, null, null],
+    "02-15": [51, 31, null, null, null, null],
+    "02-16": [51, 31, null, null, null, null],
+    "02-17": [51, 31, null, null, null, null],
+    "02-18": [52, 31, null, null, null, null],
+    "02-19": [52, 32, null, null, null, null],
+    "02-20": [52, 32, null, null, null, null],
+    "02-21": [52, 32, null, null, null, null],
+    "02-22": [53, 32, null, null, null, null],
+    "02-23": [53, 32, null, null, null, null],
+    "02-24": [53, 32, null, null, null, null],
+    "02-25": [53, 32, null, null, null, null],
+    "02-26": [54, 33, null, null, null, null],
+    "02-27": [54, 33, null, null, null, null],
+    "02-28": [54, 33, null, null, null, null],
+    "02-29": [55, 33, null, null, null, null],
+    "03-01": [55, 33, null, null, null, null],
+    "03-02": [55, 34, null, null, null, null],
+    "03-03": [55, 34, null, null, null, null],
+    "03-04": [56, 34, null, null, null, null],
+    "03-05": [56, 34, null, null, null, null],
+    "03-06": [56, 34, null, null, null, null],
+    "03-07": [57, 34, null, null, null, null],
+    "03-08": [57, 35, null, null, null, null],
+    "03-09": [57, 35, null, null, null, null],
+    "03-10": [58, 35, null, null, null, null],
+    "03-11": [58, 35, null, null, null, null],
+    "03-12": [58, 35, null, null, null, null],
+    "03-13": [58, 36, null, null, null, null],
+    "03-14": [59, 36, null, null, null, null],
+    "03-15": [59, 36, null, null, null, null],
+    "03-16": [59, 36, null, null, null, null],
+    "03-17": [60, 36, null, null, null, null],
+    "03-18": [60, 37, null, null, null, null],
+    "03-19": [60, 37, null, null, null, null],
+    "03-20": [60, 37, null, null, null, null],
+    "03-21": [61, 37, null, null, null, null],
+    "03-22": [61, 37, null, null, null, null],
+    "03-23": [61, 38, null, null, null, null],
+    "03-24": [62, 38, null, null, null, null],
+    "03-25": [62, 38, null, null, null, null],
+    "03-26": [62, 38, null, null, null, null],
+    "03-27": [63, 38, null, null, null, null],
+    "03-28": [63, 39, null, null, null, null],
+    "03-29": [63, 39, null, null, null, null],
+    "03-30": [63, 39, null, null, null, null],
+    "03-31": [64, 39, null, null, null, null],
+    "04-01": [64, 40, null, null, null, null],
+    "04-02": [64, 40, null, null, null, null],
+    "04-03": [65, 40, null, null, null, null],
+    "04-04": [65, 40, null, null, null, null],
+    "04-05": [65, 41, null, null, null, null],
+    "04-06": [66, 41, null, null, null, null],
+    "04-07": [66, 41, null, null, null, null],
+    "04-08": [66, 41, null, null, null, null],
+    "04-09": [66, 41, null, null, null, null],
+    "04-10": [67, 42, null, null, null, null],
+    "04-11": [67, 42, null, null, null, null],
+    "04-12": [67, 42, null, null, null, null],
+    "04-13": [67, 42, null, null, null, null],
+    "04-14": [68, 43, null, null, null, null],
+    "04-15": [68, 43, null, null, null, null],
+    "04-16": [68, 43, null, null, null, null],
+    "04-17": [69, 44, null, null, null, null],
+    "04-18": [69, 44, null, null, null, null],
+    "04-19": [69, 44, null, null, null, null],
+    "04-20": [69, 44, null, null, null, null],
+    "04-21": [70, 45, null, null, null, null],
+    "04-22": [70, 45, null, null, null, null],
+    "04-23": [70, 45, null, null, null, null],
+    "04-24": [70, 46, null, null, null, null],
+    "04-25": [70, 46, null, null, null, null],
+    "04-26": [71, 46, null, null, null, null],
+    "04-27": [71, 47, null, null, null, null],
+    "04-28": [71, 47, null, null, null, null],
+    "04-29": [71, 47, null, null, null, null],
+    "04-30": [72, 47, null, null, null, null],
+    "05-01": [72, 48, null, null, null, null],
+    "05-02": [72, 48, null, null, null, null],
+    "05-03": [72, 48, null, null, null, null],
+    "05-04": [73, 49, null, null, null, null],
+    "05-05": [73, 49, null, null, null, null],
+    "05-06": [73, 49, null, null, null, null],
+    "05-07": [73, 50, null, null, null, null],
+    "05-08": [73, 50, null, null, null, null],
+    "05-09": [74, 50, null, null, null, null],
+    "05-10": [74, 51, null, null, null, null],
+    "05-11": [74, 51, null, null, null, null],
+    "05-12": [74, 51, null, null, null, null],
+    "05-13": [75, 51, null, null, null, null],
+    "05-14": [75, 52, null, null, null, null],
+    "05-15": [75, 52, null, null, null, null],
+    "05-16": [75, 52, null, null, null, null],
+    "05-17": [75, 53, null, null, null, null],
+    "05-18": [76, 53, null, null, null, null],
+    "05-19": [76, 53, null, null, null, null],
+    "05-20": [76, 53, null, null, null, null],
+    "05-21": [76, 54, null, null, null, null],
+    "05-22": [77, 54, null, null, null, null],
+    "05-23": [77, 54, null, null, null, null],
+    "05-24": [77, 55, null, null, null, null],
+    "05-25": [77, 55, null, null, null, null],
+    "05-26": [78, 55, null, null, null, null],
+    "05-27": [78, 55, null, null, null, null],
+    "05-28": [78, 56, null, null, null, null],
+    "05-29": [78, 56, null, null, null, null],
+    "05-30": [79, 56, null, null, null, null],
+    "05-31": [79, 56, null, null, null, null],
+    "06-01": [79, 57, null, null, null, null],
+    "06-02": [79, 57, null, null, null, null],
+    "06-03": [80, 57, null, null, null, null],
+    "06-04": [80, 57, null, null, null, null],
+    "06-05": [80, 58, null, null, null, null],
+    "06-06": [80, 58, null, null, null, null],
+    "06-07": [80, 58, null, null, null, null],
+    "06-08": [81, 58, null, null, null, null],
+    "06-09": [81, 59, null, null, null, null],
+    "06-10": [81, 59, null, null, null, null],
+    "06-11": [81, 59, null, null, null, null],
+    "06-12": [81, 59, null, null, null, null],
+    "06-13": [82, 60, null, null, null, null],
+    "06-14": [82, 60, null, null, null, null],
+    "06-15": [82, 60, null, null, null, null],
+    "06-16": [82, 60, null, null, null, null],
+    "06-17": [82, 60, null, null, null, null],
+    "06-18": [82, 61, null, null, null, null],
+    "06-19": [83, 61, null, null, null, null],
+    "06-20": [83, 61, null, null, null, null],
+    "06-21": [83, 61, null, null, null, null],
+    "06-22": [83, 61, null, null, null, null],
+    "06-23": [83, 61, null, null, null, null],
+    "06-24": [83, 62, null, null, null, null],
+    "06-25": [83, 62, null, null, null, null],
+    "06-26": [84, 62, null, null, null, null],
+    "06-27": [84, 62, null, null, null, null],
+    "06-28": [84, 62, null, null, null, null],
+    "06-29": [84, 62, null, null, null, null],
+    "06-30": [84, 63, null, null, null, null],
+    "07-01": [84, 63, null, null, null, null],
+    "07-02": [84, 63, null, null, null, null],
+    "07-03": [84, 63, null, null, null, null],
+    "07-04": [84, 63, null, null, null, null],
+    "07-05": [84, 63, null, null, null, null],
+    "07-06": [85, 63, null, null, null, null],
+    "07-07": [85, 63, null, null, null, null],
+    "07-08": [85, 63, null, null, null, null],
+    "07-09": [85, 64, null, null, null, null],
+    "07-10": [85, 64, null, null, null, null],
+    "07-11": [85, 64, null, null, null, null],
+    "07-12": [85, 64, null, null, null, null],
+    "07-13": [85, 64, null, null, null, null],
+    "07-14": [85, 64, null, null, null, null],
+    "07-15": [85, 64, null, null, null, null],
+    "07-16": [85, 64, null, null, null, null],
+    "07-17": [85, 64, null, null, null, null],
+    "07-18": [85, 64, null, null, null, null],
+    "07-19": [85, 64, null, null, null, null],
+    "07-20": [85, 64, null, null, null, null],
+    "07-21": [85, 64, null, null, null, null],
+    "07-22": [85, 64, null, null, null, null],
+    "07-23": [85, 64, null, null, null, null],
+    "07-24": [85, 64, null, null, null, null],
+    "07-25": [85, 64, null, null, null, null],
+    "07-26": [85, 64, null, null, null, null],
+    "07-27": [85, 64, null, null, null, null],
+    "07-28": [85, 64, null, null, null, null],
+    "07-29": [85, 64, null, null, null, null],
+    "07-30": [85, 64, null, null, null, null],
+    "07-31": [85, 64, null, null, null, null],
+    "08-01": [85, 64, null, null, null, null],
+    "08-02": [85, 64, null, null, null, null],
+    "08-03": [85, 64, null, null, null, null],
+    "08-04": [85, 64, null, null, null, null],
+    "08-05": [85, 64, null, null, null, null],
+    "08-06": [85, 64, null, null, null, null],
+    "08-07": [85, 64, null, null, null, null],
+    "08-08": [85, 64, null, null, null, null],
+    "08-09": [85, 64, null, null, null, null],
+    "08-10": [84, 63, null, null, null, null],
+    "08-11": [84, 63, null, null, null, null],
+    "08-12": [84, 63, null, null, null, null],
+    "08-13": [84, 63, null, null, null, null],
+    "08-14": [84, 63, null, null, null, null],
+    "08-15": [84, 63, null, null, null, null],
+    "08-16": [84, 63, null, null, null, null],
+    "08-17": [84, 63, null, null, null, null],
+    "08-18": [84, 63, null, null, null, null],
+    "08-19": [83, 63, null, null, null, null],
+    "08-20": [83, 62, null, null, null, null],
+    "08-21": [83, 62, null, null, null, null],
+    "08-22": [83, 62, null, null, null, null],
+    "08-23": [83, 62, null, null, null, null],
+    "08-24": [83, 62, null, null, null, null],
+    "08-25": [83, 62, null, null, null, null],
+    "08-26": [82, 61, null, null, null, null],
+    "08-27": [82, 61, null, null, null, null],
+    "08-28": [82, 61, null, null, null, null],
+    "08-29": [82, 61, null, null, null, null],
+    "08-30": [82, 61, null, null, null, null],
+    "08-31": [81, 61, null, null, null, null],
+    "09-01": [81, 60, null, null, null, null],
+    "09-02": [81, 60, null, null, null, null],
+    "09-03": [81, 60, null, null, null, null],
+    "09-04": [81, 60, null, null, null, null],
+    "09-05": [80, 59, null, null, null, null],
+    "09-06": [80, 59, null, null, null, null],
+    "09-07": [80, 59, null, null, null, null],
+    "09-08": [80, 59, null, null, null, null],
+    "09-09": [79, 59, null, null, null, null],
+    "09-10": [79, 58, null, null, null, null],
+    "09-11": [79, 58, null, null, null, null],
+    "09-12": [79, 58, null, null, null, null],
+    "09-13": [78, 58, null, null, null, null],
+    "09-14": [78, 57, null, null, null, null],
+    "09-15": [78, 57, null, null, null, null],
+    "09-16": [78, 57, null, null, null, null],
+    "09-17": [77, 56, null, null, null, null],
+    "09-18": [77, 56, null, null, null, null],
+    "09-19": [77, 56, null, null, null, null],
+    "09-20": [77, 55, null, null, null, null],
+    "09-21": [76, 55, null, null, null, null],
+    "09-22": [76, 55, null, null, null, null],
+    "09-23": [76, 54, null, null, null, null],
+    "09-24": [76, 54, null, null, null, null],
+    "09-25": [75, 54, null, null, null, null],
+    "09-26": [75, 53, null, null, null, null],
+    "09-27": [75, 53, null, null, null, null],
+    "09-28": [74, 52, null, null, null, null],
+    "09-29": [74, 52, null, null, null, null],
+    "09-30": [74, 52, null, null, null, null],
+    "10-01": [73, 51, null, null, null, null],
+    "10-02": [73, 51, null, null, null, null],
+    "10-03": [73, 50, null, null, null, null],
+    "10-04": [73, 50, null, null, null, null],
+    "10-05": [72, 50, null, null, null, null],
+    "10-06": [72, 49, null, null, null, null],
+    "10-07": [72, 49, null, null, null, null],
+    "10-08": [71, 49, null, null, null, null],
+    "10-09": [71, 48, null, null, null, null],
+    "10-10": [71, 48, null, null, null, null],
+    "10-11": [70, 47, null, null, null, null],
+    "10-12": [70, 47, null, null, null, null],
+    "10-13": [70, 47, null, null, null, null],
+    "10-14": [69, 46, null, null, null, null],
+    "10-15": [69, 46, null, null, null, null],
+    "10-16": [69, 46, null, null, null, null],
+    "10-17": [68, 45, null, null, null, null],
+    "10-18": [68, 45, null, null, null, null],
+    "10-19": [68, 45, null, null, null, null],
+    "10-20": [67, 44, null, null, null, null],
+    "10-21": [67, 44, null, null, null, null],
+    "10-22": [67, 44, null, null, null, null],
+    "10-23": [66, 43, null, null, null, null],
+    "10-24": [66, 43, null, null, null, null],
+    "10-25": [66, 43, null, null, null, null],
+    "10-26": [65, 43, null, null, null, null],
+    "10-27": [65, 42, null, null, null, null],
+    "10-28": [65, 42, null, null, null, null],
+    "10-29": [64, 42, null, null, null, null],
+    "10-30": [64, 41, null, null, null, null],
+    "10-31": [64, 41, null, null, null, null],
+    "11-01": [64, 41, null, null, null, null],
+    "11-02": [63, 40, null, null, null, null],
+    "11-03": [63, 40, null, null, null, null],
+    "11-04": [63, 40, null, null, null, null],
+    "11-05": [62, 40, null, null, null, null],
+    "11-06": [62, 39, null, null, null, null],
+    "11-07": [62, 39, null, null, null, null],
+    "11-08": [61, 39, null, null, null, null],
+    "11-09": [61, 39, null, null, null, null],
+    "11-10": [61, 38, null, null, null, null],
+    "11-11": [60, 38, null, null, null, null],
+    "11-12": [60, 38, null, null, null, null],
+    "11-13": [60, 37, null, null, null, null],
+    "11-14": [59, 37, null, null, null, null],
+    "11-15": [59, 37, null, null, null, null],
+    "11-16": [59, 37, null, null, null, null],
+    "11-17": [58, 37, null, null, null, null],
+    "11-18": [58, 36, null, null, null, null],
+    "11-19": [58, 36, null, null, null, null],
+    "11-20": [57, 36, null, null, null, null],
+    "11-21": [57, 36, null, null, null, null],
+    "11-22": [57, 35, null, null, null, null],
+    "11-23": [56, 35, null, null, null, null],
+    "11-24": [56, 35, null, null, null, null],
+    "11-25": [56, 35, null, null, null, null],
+    "11-26": [55, 34, null, null, null, null],
+    "11-27": [55, 34, null, null, null, null],
+    "11-28": [55, 34, null, null, null, null],
+    "11-29": [54, 34, null, null, null, null],
+    "11-30": [54, 34, null, null, null, null],
+    "12-01": [54, 33, null, null, null, null],
+    "12-02": [53, 33, null, null, null, null],
+    "12-03": [53, 33, null, null, null, null],
+    "12-04": [53, 33, null, null, null, null],
+    "12-05": [53, 33, null, null, null, null],
+    "12-06": [52, 32, null, null, null, null],
+    "12-07": [52, 32, null, null, null, null],
+    "12-08": [52, 32, null, null, null, null],
+    "12-09": [51, 32, null, null, null, null],
+    "12-10": [51, 32, null, null, null, null],
+    "12-11": [51, 32, null, null, null, null],
+    "12-12": [51, 31, null, null, null, null],
+    "12-13": [50, 31, null, null, null, null],
+    "12-14": [50, 31, null, null, null, null],
+    "12-15": [50, 31, null, null, null, null],
+    "12-16": [50, 31, null, null, null, null],
+    "12-17": [50, 31, null, null, null, null],
+    "12-18": [49, 31, null, null, null, null],
+    "12-19": [49, 30, null, null, null, null],
+    "12-20": [49, 30, null, null, null, null],
+    "12-21": [49, 30, null, null, null, null],
+    "12-22": [49, 30, null, null, null, null],
+    "12-23": [49, 30, null, null, null, null],
+    "12-24": [48, 30, null, null, null, null],
+    "12-25": [48, 30, null, null, null, null],
+    "12-26": [48, 29, null, null, null, null],
+    "12-27": [48, 29, null, null, null, null],
+    "12-28": [48, 29, null, null, null, null],
+    "12-29": [48, 29, null, null, null, null],
+    "12-30": [48, 29, null, null, null, null],
+    "12-31": [48, 29, null, null, null, null]
+  }
+};
@@ -0,0 +1,16 @@
+// /js/data/kavl-frost.js
+// Spring / fall freeze climatology for Asheville (KAVL).
+//
+// Median (50 % probability) dates from the NCEI 1991–2020 freeze
+// data, rounded to the day. Sheltered hollows run earlier in the
+// fall and later in the spring than the airport.
+
+export const KAVL_FROST = {
+  station: "KAVL",
+  period: "1991–2020",
+  source: "NOAA NCEI 1991–2020 freeze data (median dates)",
+
+  // "MM-DD" by threshold (°F): 36 = frost, 32 = freeze, 28 = hard freeze
+  lastSpring: { 36: "04-27", 32: "04-11", 28: "03-29" },
+  firstFall: { 36: "10-14", 32: "10-25", 28: "11-05" }
+};
@@ -0,0 +1,15 @@
+// /js/data/parkway-landmarks.js
+// High points along (and just off) the Blue Ridge Parkway near Asheville.
+//
+// Coordinates are the summit / overlook parking areas; elevations are
+// the published summit or trailhead heights, rounded to 10 ft. Max Patch
+// isn't on the Parkway itself — it's reached from I‑40 — but it's the
+// bald locals ask about most.
+
+export const PARKWAY_LANDMARKS = [
+  { id: "mount-mitchell", name: "Mount Mitchell", lat: 35.7650, lon: -82.2652, elevationFt: 6680, milepost: 355.4 },
+  { id: "craggy-gardens", name: "Craggy Gardens", lat: 35.6993, lon: -82.3800, elevationFt: 5500, milepost: 364.4 },
+  { id: "mount-pisgah", name: "Mount Pisgah", lat: 35.4190, lon: -82.7480, elevationFt: 5720, milepost: 407.6 },
+  { id: "graveyard-fields", name: "Graveyard Fields", lat: 35.3205, lon: -82.8469, elevationFt: 5120, milepost: 418.8 },
+  { id: "max-patch", name: "Max Patch", lat: 35.7965, lon: -82.9574, elevationFt: 4630, milepost: null }
+];
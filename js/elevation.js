@@ -0,0 +1,159 @@
+// /js/elevation.js
+// ============================================================
+// ELEVATION ADJUSTMENT — station, forecast grid, user location
+// Shifts temperature + dewpoint by lapse rate to the user's height
+// ============================================================
+
+import { formatHeight, formatTempDelta } from './units.js';
+
+// Standard environmental lapse rate (°F per 1,000 ft)
+const TEMP_LAPSE_F_PER_KFT = 3.5;
+
+// Dewpoint falls much more slowly with height than temperature
+const DEW_LAPSE_F_PER_KFT = 1.0;
+
+// Differences smaller than this (ft) aren't worth adjusting for
+const MIN_OFFSET_FT = 100;
+
+const FT_PER_M = 3.28084;
+
+export function metersToFeet(m) {
+  return m == null ? null : m * FT_PER_M;
+}
+
+// ------------------------------------------------------------
+// CONTEXT
+// ------------------------------------------------------------
+
+/**
+ * Build the elevation context from three heights in feet.
+ * Any of them may be null; the matching offsets are then 0.
+ *
+ * `stationOffsetFt` / `gridOffsetFt` are "user minus source":
+ * positive means the user sits higher (cooler) than the source.
+ */
+export function buildElevationContext({ userFt, stationFt, gridFt }) {
+  const offset = (from) =>
+    userFt != null && from != null && Math.abs(userFt - from) >= MIN_OFFSET_FT
+      ? userFt - from
+      : 0;
+
+  const stationOffsetFt = offset(stationFt);
+  const gridOffsetFt = offset(gridFt);
+
+  return {
+    userFt: userFt != null ? Math.round(userFt) : null,
+    stationFt: stationFt != null ? Math.round(stationFt) : null,
+    gridFt: gridFt != null ? Math.round(gridFt) : null,
+
+    stationOffsetFt: Math.round(stationOffsetFt),
+    gridOffsetFt: Math.round(gridOffsetFt),
+
+    // Negative = cooler at the user's elevation
+    stationTempDelta: -lapse(stationOffsetFt, TEMP_LAPSE_F_PER_KFT),
+    stationDewDelta: -lapse(stationOffsetFt, DEW_LAPSE_F_PER_KFT),
+    gridTempDelta: -lapse(gridOffsetFt, TEMP_LAPSE_F_PER_KFT),
+    gridDewDelta: -lapse(gridOffsetFt, DEW_LAPSE_F_PER_KFT)
+  };
+}
+
+function lapse(offsetFt, ratePerKft) {
+  return Math.round((offsetFt / 1000) * ratePerKft * 10) / 10;
+}
+
+// ------------------------------------------------------------
+// APPLY
+// ------------------------------------------------------------
+
+/**
+ * Return a copy of the WU observation at the user's elevation.
+ * The station's own readings are kept as stationTemp / stationDewPoint.
+ */
+export function adjustObservation(wu, ctx) {
+  if (!wu || !ctx || (ctx.stationTempDelta === 0 && ctx.stationDewDelta === 0)) return wu;
+
+  const temp = wu.temp != null ? Math.round(wu.temp + ctx.stationTempDelta) : null;
+  let dewPoint = wu.dewPoint != null ? Math.round(wu.dewPoint + ctx.stationDewDelta) : null;
+
+  // Dewpoint can't exceed air temperature
+  if (temp != null && dewPoint != null) dewPoint = Math.min(dewPoint, temp);
+
+  return {
+    ...wu,
+    temp,
+    dewPoint,
+    stationTemp: wu.temp,
+    stationDewPoint: wu.dewPoint,
+    elevationAdjusted: true
+  };
+}
+
+/**
+ * Return a copy of the Open‑Meteo hourly block shifted to the user's elevation.
+ */
+export function adjustHourly(hourly, ctx) {
+  if (!hourly || !ctx || (ctx.gridTempDelta === 0 && ctx.gridDewDelta === 0)) return hourly;
+
+  const temps = (hourly.temperature_2m || []).map(t =>
+    t == null ? t : Math.round((t + ctx.gridTempDelta) * 10) / 10
+  );
+
+  const dews = (hourly.dewpoint_2m || []).map((d, i) => {
+    if (d == null) return d;
+    const shifted = Math.round((d + ctx.gridDewDelta) * 10) / 10;
+    return temps[i] != null ? Math.min(shifted, temps[i]) : shifted;
+  });
+
+  return { ...hourly, temperature_2m: temps, dewpoint_2m: dews };
+}
+
+/**
+ * Same grid shift for Open‑Meteo daily highs/lows.
+ */
+export function adjustDaily(daily, ctx) {
+  if (!daily || !ctx || ctx.gridTempDelta === 0) return daily;
+
+  const shift = arr => (arr || []).map(t =>
+    t == null ? t : Math.round((t + ctx.gridTempDelta) * 10) / 10
+  );
+
+  return {
+    ...daily,
+    temperature_2m_max: shift(daily.temperature_2m_max),
+    temperature_2m_min: shift(daily.temperature_2m_min)
+  };
+}
+
+// ------------------------------------------------------------
+// PHRASES
+// ------------------------------------------------------------
+
+/**
+ * "About 6° cooler at your elevation than the station." or null.
+ */
+export function describeStationOffset(ctx) {
+  if (!ctx) return null;
+
+  const delta = Math.round(ctx.stationTempDelta);
+  if (Math.abs(delta) < 2) return null;
+
+  const dir = delta < 0 ? "cooler" : "warmer";
+  const rel = delta < 0 ? "above" : "below";
+  const height = formatHeight(Math.abs(ctx.stationOffsetFt));
+
+  return `About ${formatTempDelta(delta)} ${dir} at your elevation than the station (${height} ${rel} it).`;
+}
+
+/**
+ * "Ridges 2,000 ft up run about 7° cooler." — ridge line relative to the user.
+ */
+export function describeRidgeOffset(ctx, ridgeFt = 5000) {
+  if (!ctx || ctx.userFt == null) return null;
+
+  const rise = ridgeFt - ctx.userFt;
+  if (rise < 1000) return null;
+
+  const delta = lapse(rise, TEMP_LAPSE_F_PER_KFT);
+
+  return `Ridges ${formatHeight(rise, 100)} above you run about ${formatTempDelta(delta)} cooler — breezy in higher spots.`;
+}
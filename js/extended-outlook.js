@@ -0,0 +1,144 @@
+// /js/extended-outlook.js
+// ============================================================
+// EXTENDED OUTLOOK — 7–10 day strip + trend narrative
+// ============================================================
+
+import { getDailyOutlook } from './forecast-intel.js';
+import { weekdayName, dayBounds, dayKey, addDays } from './forecast-time.js';
+import { formatTempDelta } from './units.js';
+
+// Today and tomorrow already have full outlooks above the strip, so
+// the strip starts this many days out (by calendar day, not array index —
+// a saved snapshot read after midnight still starts at yesterday)
+const FIRST_DAY_OFFSET = 2;
+
+// Day‑over‑day change in the high that reads as a front, not a drift
+const FRONT_DROP = 10;    // °F
+const WARM_SURGE = 10;    // °F
+
+// Change across the whole stretch worth calling a trend
+const TREND_MIN = 6;      // °F
+
+const WET_DAY = 0.25;     // in
+
+// ------------------------------------------------------------
+// HELPERS
+// ------------------------------------------------------------
+
+function avg(arr) {
+  return arr.reduce((a, b) => a + b, 0) / arr.length;
+}
+
+/**
+ * Open‑Meteo's parallel daily arrays → one object per day.
+ */
+function toDays(daily) {
+  // Open‑Meteo daily times are Eastern calendar days ("2026-10-23")
+  return (daily.time || []).map((t, i) => {
+    return {
+      dayKey: t,
+      label: weekdayName(t, "short"),
+      tempHigh: daily.temperature_2m_max?.[i] ?? null,
+      tempLow: daily.temperature_2m_min?.[i] ?? null,
+      precipTotal: daily.precipitation_sum?.[i] ?? 0,
+      snowTotal: daily.snowfall_sum?.[i] ?? 0,
+      precipHours: daily.precipitation_hours?.[i] ?? 0,
+      gustMax: daily.windgusts_10m_max?.[i] ?? null,
+      uvMax: daily.uv_index_max?.[i] ?? null
+    };
+  });
+}
+
+// ------------------------------------------------------------
+// TREND NARRATIVE
+// ------------------------------------------------------------
+
+/**
+ * "Warming trend through Thursday, then a cold front drops highs about 14° Friday."
+ * `days` run from tomorrow onward so the first change is visible.
+ */
+function buildTrendText(days) {
+  const usable = days.filter(d => d.tempHigh != null);
+  if (usable.length < 3) return "";
+
+  const highs = usable.map(d => d.tempHigh);
+  const names = usable.map(d => weekdayName(d.dayKey));
+
+  // Biggest one‑day swings
+  let drop = { size: 0, at: -1 };
+  let surge = { size: 0, at: -1 };
+  for (let i = 1; i < highs.length; i++) {
+    const change = highs[i] - highs[i - 1];
+    if (-change > drop.size) drop = { size: -change, at: i };
+    if (change > surge.size) surge = { size: change, at: i };
+  }
+
+  const sentences = [];
+
+  if (drop.size >= FRONT_DROP) {
+    const before = highs.slice(0, drop.at);
+    const warmedBy = before.at(-1) - before[0];
+    const front = `a cold front drops highs about ${formatTempDelta(drop.size)} ${names[drop.at]}`;
+
+    sentences.push(
+      warmedBy >= TREND_MIN - 1 && drop.at >= 2
+        ? `Warming trend through ${names[drop.at - 1]}, then ${front}.`
+        : `${front.charAt(0).toUpperCase() + front.slice(1)}.`
+    );
+  } else if (surge.size >= WARM_SURGE) {
+    sentences.push(`Big warm‑up ${names[surge.at]} — highs jump about ${formatTempDelta(surge.size)}.`);
+  } else {
+    const first = avg(highs.slice(0, 3));
+    const last = avg(highs.slice(-3));
+    const lastDay = names.at(-1);
+
+    if (last - first >= TREND_MIN) sentences.push(`Gradual warming trend through ${lastDay}.`);
+    else if (first - last >= TREND_MIN) sentences.push(`Gradual cooling trend through ${lastDay}.`);
+    else sentences.push(`Fairly steady temperatures through ${lastDay}.`);
+  }
+
+  // Wettest day, if any day is meaningfully wet
+  const wettest = usable.reduce((a, b) => (b.precipTotal > a.precipTotal ? b : a));
+  if (wettest.precipTotal >= WET_DAY) {
+    const kind = wettest.snowTotal >= 0.5 ? "Snowiest" : "Wettest";
+    sentences.push(`${kind} day looks like ${weekdayName(wettest.dayKey)}.`);
+  }
+
+  return sentences.join(" ");
+}
+
+// ------------------------------------------------------------
+// PUBLIC
+// ------------------------------------------------------------
+
+/**
+ * Per‑day outlooks for days 3–10 plus a trend sentence.
+ * Returns { days: [...], trend } or null without daily data.
+ */
+export function buildExtendedOutlook(daily, context = {}) {
+  if (!daily?.time?.length) return null;
+
+  const today = dayKey(context.now ?? new Date());
+  const firstDay = addDays(today, FIRST_DAY_OFFSET);
+  const all = toDays(daily);
+
+  // Day keys are "YYYY-MM-DD", so string order is calendar order
+  const days = all.filter(day => day.dayKey >= firstDay).map(day => ({
+    date: dayBounds(day.dayKey).start.toISOString(),
+    dayKey: day.dayKey,
+    label: day.label,
+    tempHigh: day.tempHigh != null ? Math.round(day.tempHigh) : null,
+    tempLow: day.tempLow != null ? Math.round(day.tempLow) : null,
+    precipTotal: day.precipTotal,
+    snowTotal: day.snowTotal,
+    gustMax: day.gustMax != null ? Math.round(day.gustMax) : null,
+    ...getDailyOutlook(day, context)
+  }));
+
+  if (!days.length) return null;
+
+  return {
+    days,
+    trend: buildTrendText(all.filter(day => day.dayKey > today))
+  };
+}
@@ -0,0 +1,208 @@
+// /js/forecast-confidence.js
+// ============================================================
+// FORECAST CONFIDENCE — multi‑model spread (GFS/ECMWF/ICON/HRRR)
+// ============================================================
+
+import { localHour } from './forecast-time.js';
+import { formatTemp, formatTempDelta, formatSpeed, formatPrecip } from './units.js';
+
+const WET_HOUR = 0.02;     // in/hr — same "it's raining" line as the outlooks
+
+const MAX_SCORE = 95;
+const MIN_SCORE = 30;
+
+// Spread we consider normal noise between models
+const TEMP_SPREAD_OK = 3;  // °F on the window high/low
+const GUST_SPREAD_OK = 8;  // mph on the window max gust
+
+// ------------------------------------------------------------
+// HELPERS
+// ------------------------------------------------------------
+function to12Hour(hour) {
+  const h = hour % 12 || 12;
+  const suffix = hour >= 12 ? "PM" : "AM";
+  return `${h} ${suffix}`;
+}
+
+function hourOf(isoString) {
+  return localHour(isoString);
+}
+
+function range(values) {
+  const v = values.filter(x => x != null);
+  if (v.length < 2) return { min: v[0] ?? null, max: v[0] ?? null, spread: 0 };
+  const min = Math.min(...v);
+  const max = Math.max(...v);
+  return { min, max, spread: max - min };
+}
+
+/**
+ * Slice every model down to the requested timestamps.
+ * Models with no data in the window (e.g. HRRR past day 2) are dropped.
+ */
+function windowModels(ensemble, times) {
+  const indexOf = new Map((ensemble.time || []).map((t, i) => [t, i]));
+  const idx = times.map(t => indexOf.get(t)).filter(i => i != null);
+
+  const out = {};
+  for (const [name, series] of Object.entries(ensemble.models || {})) {
+    const temps = idx.map(i => series.temperature_2m?.[i] ?? null);
+    if (temps.every(t => t == null)) continue;
+
+    out[name] = {
+      temps,
+      precip: idx.map(i => series.precipitation?.[i] ?? null),
+      gusts: idx.map(i => series.windgusts_10m?.[i] ?? null)
+    };
+  }
+
+  return { models: out, times: idx.map(i => ensemble.time[i]) };
+}
+
+// ------------------------------------------------------------
+// SPREAD MEASURES
+// ------------------------------------------------------------
+function measureSpread({ models, times }) {
+  const names = Object.keys(models);
+  const list = names.map(n => models[n]);
+
+  const maxOf = arr => {
+    const v = arr.filter(x => x != null);
+    return v.length ? Math.max(...v) : null;
+  };
+  const minOf = arr => {
+    const v = arr.filter(x => x != null);
+    return v.length ? Math.min(...v) : null;
+  };
+
+  const highs = range(list.map(m => maxOf(m.temps)));
+  const lows = range(list.map(m => minOf(m.temps)));
+  const gusts = range(list.map(m => maxOf(m.gusts)));
+  const totals = range(list.map(m => m.precip.reduce((a, b) => a + (b ?? 0), 0)));
+
+  // Rain timing: hours where some models are wet and others dry
+  const splitHours = [];
+  const wetHours = [];
+
+  times.forEach((t, h) => {
+    const votes = list.map(m => m.precip[h]).filter(v => v != null);
+    if (votes.length < 2) return;
+    const wet = votes.filter(v => v > WET_HOUR).length;
+    if (wet === votes.length) wetHours.push(t);
+    else if (wet > 0) splitHours.push(t);
+  });
+
+  const wetModels = names.filter(n => models[n].precip.some(v => v > WET_HOUR));
+
+  return { names, highs, lows, gusts, totals, splitHours, wetHours, wetModels, hours: times.length };
+}
+
+// ------------------------------------------------------------
+// SCORE
+// ------------------------------------------------------------
+function scoreSpread(s) {
+  let score = MAX_SCORE;
+
+  score -= Math.max(0, s.highs.spread - TEMP_SPREAD_OK) * 3;
+  score -= Math.max(0, s.lows.spread - TEMP_SPREAD_OK) * 2;
+  score -= Math.max(0, s.gusts.spread - GUST_SPREAD_OK) * 1.5;
+
+  // Timing disagreement matters more than amount disagreement
+  score -= (s.splitHours.length / Math.max(s.hours, 1)) * 45;
+  score -= Math.min(s.totals.spread, 1) * 20;
+
+  // Two models agreeing proves less than four
+  if (s.names.length < 3) score -= 10;
+
+  return Math.round(Math.min(MAX_SCORE, Math.max(MIN_SCORE, score)));
+}
+
+function labelFor(score) {
+  if (score >= 75) return "High";
+  if (score >= 55) return "Moderate";
+  return "Low";
+}
+
+// ------------------------------------------------------------
+// REASONING
+// ------------------------------------------------------------
+function buildReasoningText(s) {
+  const disagreements = [];
+
+  if (s.splitHours.length >= 2) {
+    const first = to12Hour(hourOf(s.splitHours[0]));
+    disagreements.push({
+      weight: s.splitHours.length * 3,
+      text: s.wetModels.length === 1
+        ? `only ${s.wetModels[0]} brings rain (after ${first})`
+        : `models split on rain timing after ${first}`
+    });
+  }
+
+  if (s.totals.spread >= 0.25) {
+    disagreements.push({
+      weight: s.totals.spread * 20,
+      text: `rain totals range from ${formatPrecip(s.totals.min)} to ${formatPrecip(s.totals.max)}`
+    });
+  }
+
+  if (s.highs.spread > TEMP_SPREAD_OK) {
+    disagreements.push({
+      weight: s.highs.spread,
+      text: `highs differ by ${formatTempDelta(s.highs.spread)} (${formatTemp(s.highs.min)}–${formatTemp(s.highs.max)})`
+    });
+  }
+
+  if (s.gusts.spread > GUST_SPREAD_OK) {
+    disagreements.push({
+      weight: s.gusts.spread / 2,
+      text: `gusts range from ${formatSpeed(s.gusts.min)} to ${formatSpeed(s.gusts.max)}`
+    });
+  }
+
+  // "GFS, ECMWF, ICON and HRRR"
+  const who = s.names.length > 1
+    ? `${s.names.slice(0, -1).join(", ")} and ${s.names.at(-1)}`
+    : s.names[0];
+
+  if (!disagreements.length) {
+    const rain = s.wetHours.length
+      ? `rain around ${to12Hour(hourOf(s.wetHours[0]))}`
+      : "a dry stretch";
+    return `${who} agree closely on temperatures, wind and ${rain}.`;
+  }
+
+  disagreements.sort((a, b) => b.weight - a.weight);
+  const sentence = disagreements.slice(0, 2).map(d => d.text).join("; ");
+
+  return `${sentence.charAt(0).toUpperCase() + sentence.slice(1)} (${who} compared).`;
+}
+
+// ------------------------------------------------------------
+// PUBLIC
+// ------------------------------------------------------------
+
+/**
+ * Confidence for one forecast window.
+ * `times` are the Open‑Meteo timestamps of the window.
+ * Returns { score, label, text, reasoning, models } or null
+ * when fewer than two models cover the window.
+ */
+export function buildModelConfidence(ensemble, times) {
+  if (!ensemble || !times?.length) return null;
+
+  const win = windowModels(ensemble, times);
+  if (Object.keys(win.models).length < 2) return null;
+
+  const spread = measureSpread(win);
+  const score = scoreSpread(spread);
+  const label = labelFor(score);
+
+  return {
+    score,
+    label,
+    text: `${label} confidence (${score}%)`,
+    reasoning: buildReasoningText(spread),
+    models: spread.names
+  };
+}
@@ -9,13 +9,48 @@ import {
 
 import {
   findNearestHourIndex,
-  getReliableUV
+  getReliableUV,
+  getFeelsLike
 } from './weather-utils.js';
 
 import { getMicroAdvice } from './micro-advice.js';
+import { getActivity } from './activity-profiles.js';
 import { degToCompass, getUVClass } from "./weather-render.js";
-
-export function buildWeatherIntel({ wuCurrent, hourly, mrmsPixel }) {
+import { adjustObservation, adjustHourly, adjustDaily } from './elevation.js';
+import { buildModelConfidence } from './forecast-confidence.js';
+import { buildExtendedOutlook } from './extended-outlook.js';
+import { detectWindShifts, describeWindShifts } from './wind-shifts.js';
+import { summarizePrecipChance, describePrecipChance, describeSnowAmount } from './precip-chance.js';
+import { classifyPrecipTypes, describePrecipTypes, precipTypeLead } from './precip-type.js';
+import { buildAirQuality } from './air-quality.js';
+import { buildFrostOutlook } from './frost.js';
+import { buildUpHigh } from './landmarks.js';
+import { PARKWAY_LANDMARKS } from './data/parkway-landmarks.js';
+import {
+  localHour,
+  dayKey,
+  dayWindow,
+  remainingDayWindow,
+  tomorrowWindow
+} from './forecast-time.js';
+
+export function buildWeatherIntel({
+  wuCurrent: stationObs,
+  hourly: gridHourly,
+  mrmsPixel,
+  elevation = null,
+  models = null,
+  alerts = [],
+  daily = null,
+  airQuality = null,
+  landmarks = null,
+  now = new Date()
+}) {
+
+  // ⭐ 0. Elevation — shift station + grid readings to the user's height
+  //       before any comfort or outlook logic sees them
+  const wuCurrent = adjustObservation(stationObs, elevation);
+  const hourly = adjustHourly(gridHourly, elevation);
 
   // ⭐ 1. UV
   const idx = findNearestHourIndex(hourly);
@@ -27,8 +62,9 @@ export function buildWeatherIntel({ wuCurrent, hourly, mrmsPixel }) {
     wuCurrent.solarRadiation
   );
 
-  // ⭐ 2. RIGHT NOW COMFORT (fixed)
-  const tempNow = wuCurrent.temp;
+  // ⭐ 2. RIGHT NOW COMFORT (feels‑like, not just air temp)
+  const feelsLike = getFeelsLike(wuCurrent);
+  const tempNow = feelsLike.temp;
   const dewNow = wuCurrent.dewPoint;
 
   const comfortCategory = getComfortCategory(tempNow, dewNow);
@@ -48,9 +84,14 @@ export function buildWeatherIntel({ wuCurrent, hourly, mrmsPixel }) {
     emoji: comfortEmojiMap[comfortCategory] || "🙂"
   };
 
-  // ⭐ 3. Today + Tomorrow (core outlooks)
-  const today = getTodayActionOutlook(hourly);
-  const tomorrow = getHumanActionOutlook(hourly);
+  // ⭐ 3. Today + Tomorrow (core outlooks), with tonight's and
+  //       tomorrow night's frost risk for the gardeners
+  const frost = buildFrostOutlook(hourly, now);
+  const today = getTodayActionOutlook(hourly, { elevation, alerts, airQuality, frost, now });
+  const tomorrow = getHumanActionOutlook(hourly, { elevation, alerts, airQuality, frost, now });
+
+  // ⭐ 3b. Air quality right now (AQI tile + micro‑advice)
+  const air = buildAirQuality(airQuality, now);
 
   // ⭐ 4. Precip signal
   const precipSignal = {
@@ -64,7 +105,12 @@ export function buildWeatherIntel({ wuCurrent, hourly, mrmsPixel }) {
   const microAdvice = getMicroAdvice({
     wu: wuCurrent,
     today,
-    comfort: rightNowComfort
+    comfort: rightNowComfort,
+    feelsLike: feelsLike.temp,
+    feelsLikeKind: feelsLike.kind,
+    airQuality: air,
+    uv: reliableUV,
+    activity: getActivity()
   });
 
   // ============================================================
@@ -77,34 +123,42 @@ export function buildWeatherIntel({ wuCurrent, hourly, mrmsPixel }) {
     return `${h} ${suffix}`;
   }
 
+  // One point per hour for the detail chart
   function buildHourlySnapshot(hourly, indices) {
-    return indices.slice(0, 4).map(i => ({
+    return indices.map(i => ({
       time: hourly.time[i],
-      temp: Math.round(hourly.temperature_2m[i]),
-      wind: `${degToCompass(hourly.windgusts_10m?.[i] ?? 0)} ${Math.round(hourly.windgusts_10m?.[i] ?? 0)} mph`,
-      precip: Math.round((hourly.precipitation[i] ?? 0) * 100)
+      temp: hourly.temperature_2m[i] ?? null,
+      dew: hourly.dewpoint_2m?.[i] ?? null,
+      precip: hourly.precipitation?.[i] ?? 0,
+      chance: hourly.precipitation_probability?.[i] ?? null,
+      wind: hourly.windspeed_10m?.[i] ?? null,
+      windDir: hourly.winddirection_10m?.[i] != null ? degToCompass(hourly.winddirection_10m[i]) : null,
+      gust: hourly.windgusts_10m?.[i] ?? null
     }));
   }
 
+  // Chance + amount → "60% chance of a few light showers after 2 PM."
+  // Ice, sleet, a mix or snow take their own wording, the same
+  // classification the outlook bullets and the ice badge use
   function buildPrecipWindow(hourly, indices) {
-    const precipHours = indices.filter(i => (hourly.precipitation[i] ?? 0) > 0.02);
-    if (precipHours.length === 0) return "Dry all day.";
-
-    const start = new Date(hourly.time[precipHours[0]]).getHours();
-    const end = new Date(hourly.time[precipHours.at(-1)]).getHours();
-
-    return `Possible showers ${to12Hour(start)}–${to12Hour(end)}.`;
+    const summary = summarizePrecipChance(hourly, indices);
+    const ptype = classifyPrecipTypes(hourly, indices);
+    const lead = precipTypeLead(ptype);
+    if (!lead) return describePrecipChance(summary, hourly);
+
+    const snowTotal = indices.reduce((sum, i) => sum + (hourly.snowfall?.[i] ?? 0), 0);
+    const amount = describePrecipTypes(ptype) ?? describeSnowAmount(snowTotal);
+    return describePrecipChance(summary, hourly, { type: { lead, amount } });
   }
 
+  // Veering / backing + cold‑front passages from real wind direction
   function buildWindShifts(hourly, indices) {
-    const sample = indices.slice(0, 3);
-    const dirs = sample.map(i => degToCompass(hourly.windgusts_10m?.[i] ?? 0));
-    return dirs.join(" → ");
+    return describeWindShifts(detectWindShifts(hourly, indices), hourly, indices);
   }
 
   function buildUVTimeline(hourly, indices) {
     return indices.slice(0, 3).map(i => {
-      const hour = new Date(hourly.time[i]).getHours();
+      const hour = localHour(hourly.time[i]);
       return {
         time: to12Hour(hour),
         value: Math.round(hourly.uv_index?.[i] ?? 0),
@@ -113,17 +167,23 @@ export function buildWeatherIntel({ wuCurrent, hourly, mrmsPixel }) {
     });
   }
 
-  function buildConfidence() {
-    return "High confidence (85%)";
-  }
+  // Multi‑model spread → confidence + reasoning for one window
+  function buildConfidence(hourly, indices) {
+    const result = buildModelConfidence(models, indices.map(i => hourly.time[i]));
 
-  function buildReasoning() {
-    return "A stable pattern with consistent model agreement supports this forecast.";
+    if (!result) {
+      return {
+        text: "Confidence unavailable",
+        reasoning: "Model comparison isn’t available right now."
+      };
+    }
+
+    return result;
   }
 
   function buildPeakUV(hourly, indices) {
     const uvPoints = indices.map(i => ({
-      hour: new Date(hourly.time[i]).getHours(),
+      hour: localHour(hourly.time[i]),
       value: hourly.uv_index?.[i] ?? 0
     }));
 
@@ -137,56 +197,68 @@ export function buildWeatherIntel({ wuCurrent, hourly, mrmsPixel }) {
     return { max: maxUV, hours: peakHours };
   }
 
-  // ⭐ Build windows (local)
-  const now = new Date();
-
-  const todayIndices = hourly.time
-    .map((t, i) => ({ t: new Date(t), i }))
-    .filter(obj => obj.t >= now && obj.t.getDate() === now.getDate())
-    .map(obj => obj.i);
+  // ⭐ Build windows (Eastern calendar days — see forecast-time.js)
+  const todayIndices = remainingDayWindow(hourly, now);
 
-  const tomorrowDate = new Date(now);
-  tomorrowDate.setDate(now.getDate() + 1);
+  // Whole calendar day, so the chart can show the "now" line in context
+  const todayAllIndices = dayWindow(hourly, dayKey(now));
 
-  const tomorrowIndices = hourly.time
-    .map((t, i) => ({ t: new Date(t), i }))
-    .filter(obj =>
-      obj.t.getDate() === tomorrowDate.getDate() &&
-      obj.t.getMonth() === tomorrowDate.getMonth()
-    )
-    .map(obj => obj.i);
+  const tomorrowIndices = tomorrowWindow(hourly, now);
 
   // ⭐ Detail objects
+  const todayConfidence = buildConfidence(hourly, todayIndices);
+  const tomorrowConfidence = buildConfidence(hourly, tomorrowIndices);
+
   const todayDetail = {
     high: Math.round(Math.max(...todayIndices.map(i => hourly.temperature_2m[i]))),
     low: Math.round(Math.min(...todayIndices.map(i => hourly.temperature_2m[i]))),
-    hourly: buildHourlySnapshot(hourly, todayIndices),
+    hourly: buildHourlySnapshot(hourly, todayAllIndices),
     precipWindow: buildPrecipWindow(hourly, todayIndices),
     windShifts: buildWindShifts(hourly, todayIndices),
+    frost: frost.tonight.detail,
     uvTimeline: buildUVTimeline(hourly, todayIndices),
-    confidence: buildConfidence(),
-    reasoning: buildReasoning()
+    confidence: todayConfidence.text,
+    confidenceScore: todayConfidence.score ?? null,
+    reasoning: todayConfidence.reasoning
   };
 
   const tomorrowDetail = {
     high: Math.round(Math.max(...tomorrowIndices.map(i => hourly.temperature_2m[i]))),
     low: Math.round(Math.min(...tomorrowIndices.map(i => hourly.temperature_2m[i]))),
+    hourly: buildHourlySnapshot(hourly, tomorrowIndices),
     precipWindow: buildPrecipWindow(hourly, tomorrowIndices),
+    windShifts: buildWindShifts(hourly, tomorrowIndices),
+    frost: frost.tomorrowNight.detail,
     peakUV: buildPeakUV(hourly, tomorrowIndices),
-    confidence: buildConfidence(),
-    reasoning: buildReasoning()
+    confidence: tomorrowConfidence.text,
+    confidenceScore: tomorrowConfidence.score ?? null,
+    reasoning: tomorrowConfidence.reasoning
   };
 
+  // ⭐ Extended strip (days 3–10) from the daily aggregates
+  const extended = buildExtendedOutlook(adjustDaily(daily, elevation), { alerts, now });
+
+  // ⭐ Up High — Parkway landmarks vs. here (their forecasts are
+  //    already at summit height, so no elevation shift)
+  const upHigh = buildUpHigh(PARKWAY_LANDMARKS, landmarks, { now, userTemp: wuCurrent.temp });
+
   // ⭐ Return unified intel object
   return {
     wu: wuCurrent,
+    elevation,
+    feelsLike,
+    alerts: alerts || [],
     uv: reliableUV,
+    airQuality: air,
+    frost,
     rightNowComfort,
     today,
     tomorrow,
     precipSignal,
     microAdvice,
     todayDetail,
-    tomorrowDetail
+    tomorrowDetail,
+    extended,
+    upHigh
   };
 }
@@ -4,6 +4,55 @@
 // Core Helpers + Stats + Descriptors + Dominant Factor
 // ============================================================
 
+import { describeStationOffset, describeRidgeOffset } from './elevation.js';
+import { compareToClimate, describeClimate } from './climatology.js';
+import {
+  prevailingDirection,
+  describeSustainedWind,
+  detectWindShifts,
+  frontBullet
+} from './wind-shifts.js';
+import {
+  describeRainAmount,
+  describeSnowAmount,
+  summarizePrecipChance,
+  describePrecipChance,
+  precipWorthMentioning,
+  chanceLead
+} from './precip-chance.js';
+import {
+  AQI_UNHEALTHY,
+  peakAirQuality,
+  airQualityBullet,
+  airQualityBadge
+} from './air-quality.js';
+import { detectValleyFog, fogBullet, inversionBullet } from './valley-fog.js';
+import { STORM_LEVELS, assessStorms, stormBullet, stormBadge } from './thunderstorms.js';
+import {
+  classifyPrecipTypes,
+  describePrecipTypes,
+  precipTypeBullet,
+  iceLoad,
+  iceBadge
+} from './precip-type.js';
+import {
+  localHour,
+  dayKey,
+  addDays,
+  dayBounds,
+  daypartOf,
+  remainingDayWindow,
+  tomorrowWindow,
+  nextHoursWindow
+} from './forecast-time.js';
+import {
+  alertsForWindow,
+  getDominantAlert,
+  alertHeadline,
+  alertEmoji,
+  alertBullet
+} from './alerts.js';
+
 // ------------------------------------------------------------
 // BASIC HELPERS
 // ------------------------------------------------------------
@@ -16,10 +65,6 @@ function avg(arr) {
   return arr.reduce((a, b) => a + b, 0) / arr.length;
 }
 
-function toLocalDate(isoString) {
-  return new Date(isoString);
-}
-
 function to12Hour(hour) {
   const h = hour % 12 || 12;
   const suffix = hour >= 12 ? "PM" : "AM";
@@ -27,49 +72,16 @@ function to12Hour(hour) {
 }
 
 // ------------------------------------------------------------
-// TIME + WINDOW HELPERS
+// TIME + WINDOW HELPERS (zoned — see forecast-time.js)
 // ------------------------------------------------------------
-function getHourlyWindowForDay(hourly, targetDate) {
-  const times = hourly.time || [];
-  const indices = [];
-
-  const start = new Date(targetDate);
-  start.setHours(0, 0, 0, 0);
-
-  const end = new Date(targetDate);
-  end.setHours(23, 59, 59, 999);
-
-  for (let i = 0; i < times.length; i++) {
-    const t = toLocalDate(times[i]);
-    if (t >= start && t <= end) indices.push(i);
-  }
-
-  return indices;
-}
-
-function getTodayRemainingWindow(hourly) {
-  const times = hourly.time || [];
-  const indices = [];
-
-  const now = new Date();
-  const end = new Date(now);
-  end.setHours(23, 59, 59, 999);
-
-  for (let i = 0; i < times.length; i++) {
-    const t = new Date(times[i]);
-    if (t >= now && t <= end) indices.push(i);
-  }
-
+function getTodayRemainingWindow(hourly, now = new Date()) {
+  const indices = remainingDayWindow(hourly, now);
   if (indices.length < 3) return [];
   return indices;
 }
 
-function getTomorrowWindow(hourly) {
-  const now = new Date();
-  const tomorrow = new Date(now);
-  tomorrow.setDate(now.getDate() + 1);
-
-  const indices = getHourlyWindowForDay(hourly, tomorrow);
+function getTomorrowWindow(hourly, now = new Date()) {
+  const indices = tomorrowWindow(hourly, now);
   if (indices.length < 6) return [];
   return indices;
 }
@@ -84,46 +96,22 @@ function sliceHourly(hourly, indices) {
   return result;
 }
 // ------------------------------------------------------------
-// TIMING HELPERS — index-based, human-friendly
+// TIMING HELPERS — window indices → local hours, human-friendly
 // ------------------------------------------------------------
-function hourIndexToLocalHour(index) {
-  return index % 24;
-}
-
-function describeTimeOfDay(hourIndex) {
-  const hour = hourIndexToLocalHour(hourIndex);
-
-  if (hour >= 5 && hour < 9) return "early morning";
-  if (hour >= 9 && hour < 12) return "late morning";
-  if (hour >= 12 && hour < 15) return "early afternoon";
-  if (hour >= 15 && hour < 18) return "late afternoon";
-  if (hour >= 18 && hour < 22) return "evening";
-  return "overnight";
-}
 
-function findEventTiming(windowed, start, end, conditionFn) {
-  let first = null;
-  let last = null;
-
-  for (let i = start; i <= end; i++) {
-    if (conditionFn(i, windowed)) {
-      if (first === null) first = i;
-      last = i;
-    }
-  }
-
-  return { firstHour: first, lastHour: last };
-}
-
-function timingPhrase(timing, isTomorrow) {
+// `hours` = local hour of each window index
+function timingPhrase(timing, isTomorrow, hours) {
   if (timing.firstHour === null || timing.lastHour === null) return "";
 
   const start = timing.firstHour;
   const end = timing.lastHour;
   const duration = end - start + 1;
 
-  const startPart = describeTimeOfDay(start);
-  const endPart = describeTimeOfDay(end);
+  const startHourLocal = hours[start];
+  const endHourLocal = hours[end];
+
+  const startPart = daypartOf(startHourLocal);
+  const endPart = daypartOf(endHourLocal);
 
   const dayLabel = isTomorrow ? " tomorrow" : "";
 
@@ -136,8 +124,6 @@ function timingPhrase(timing, isTomorrow) {
     return ` most of the day${dayLabel}`;
   }
 
-  const startHourLocal = hourIndexToLocalHour(start);
-  const endHourLocal = hourIndexToLocalHour(end);
   if (startHourLocal >= 22 || endHourLocal <= 6) {
     return ` overnight${dayLabel}`;
   }
@@ -195,16 +181,9 @@ function getSnowTotal(win) {
 // DESCRIPTORS
 // ------------------------------------------------------------
 function describePrecip(precipTotal, snowTotal) {
-  if (snowTotal >= 1.0) return "accumulating snow";
-  if (snowTotal >= 0.5) return "light accumulating snow";
-  if (snowTotal >= 0.2) return "a few flurries";
-  if (snowTotal > 0)   return "a stray flake or two";
+  if (snowTotal > 0) return describeSnowAmount(snowTotal);
 
-  if (precipTotal < 0.02) return "mainly dry conditions";
-  if (precipTotal < 0.10) return "a few light showers";
-  if (precipTotal < 0.25) return "on-and-off showers";
-  if (precipTotal < 0.75) return "a soaking rain at times";
-  return "periods of heavy rain";
+  return describeRainAmount(precipTotal);
 }
 
 function describeWind(gustMax) {
@@ -274,13 +253,45 @@ function mergePhrases(...parts) {
 // ------------------------------------------------------------
 // DOMINANT FACTOR SCORING
 // ------------------------------------------------------------
-function getDominantFactor(tempHigh, gustMax, precipTotal, snowTotal) {
+// `hazards` = { aqiMax, fogLevel, ice, stormRisk } — the optional detectors
+function getDominantFactor(tempHigh, gustMax, precipTotal, snowTotal, alerts = [], hazards = {}) {
+  const { aqiMax = null, fogLevel = null, ice = 0, stormRisk = 0 } = hazards;
   const drivers = [];
 
+  // An active NWS warning outranks anything the model numbers say
+  if (getDominantAlert(alerts)) {
+    drivers.push({ type: "alert", score: 200 });
+  }
+
+  // Unhealthy air (usually wildfire smoke) — everyone should dial it back
+  if (aqiMax != null && aqiMax >= AQI_UNHEALTHY) {
+    drivers.push({ type: "air", score: 60 + (aqiMax - AQI_UNHEALTHY) / 2 });
+  }
+
+  // Freezing rain / sleet — any glaze beats snow
+  if (ice >= 0.01) {
+    drivers.push({ type: "ice", score: 95 + ice * 100 });
+  }
+
   if (snowTotal >= 0.5) {
     drivers.push({ type: "snow", score: 80 + snowTotal * 10 });
   }
 
+  // Thunderstorms — lightning on an exposed ridge beats a wet afternoon
+  if (stormRisk >= STORM_LEVELS.likely) {
+    drivers.push({ type: "storms", score: 70 + (stormRisk - STORM_LEVELS.likely) / 2 });
+  } else if (stormRisk >= STORM_LEVELS.scattered) {
+    drivers.push({ type: "storms", score: 58 });
+  }
+
+  // Dense valley fog snarls the morning commute; lighter fog only
+  // wins on an otherwise quiet day
+  if (fogLevel === "dense") {
+    drivers.push({ type: "fog", score: 62 });
+  } else if (fogLevel === "likely") {
+    drivers.push({ type: "fog", score: 38 });
+  }
+
   if (snowTotal === 0 && precipTotal >= 0.10) {
     drivers.push({ type: "rain", score: 55 + precipTotal * 20 });
   }
@@ -337,8 +348,8 @@ function getClothingAdviceToday(tempNow, tempHigh, dewNow, gustMax) {
 // ------------------------------------------------------------
 // TODAY ACTION OUTLOOK (Option A)
 // ------------------------------------------------------------
-export function getTodayActionOutlook(hourly) {
-  const indices = getTodayRemainingWindow(hourly);
+export function getTodayActionOutlook(hourly, context = {}) {
+  const indices = getTodayRemainingWindow(hourly, context.now);
 
   // END‑OF‑DAY OVERRIDE
   if (!indices.length) {
@@ -353,31 +364,62 @@ export function getTodayActionOutlook(hourly) {
     };
   }
 
-  const now = new Date();
-  const currentHour = now.getHours();
+  const now = context.now ?? new Date();
+  const currentHour = localHour(now);
 
-  // Pull key stats
-  const temps = hourly.temperature_2m;
-  const dew = hourly.dewpoint_2m;
-  const gusts = hourly.windgusts_10m;
-  const precip = hourly.precipitation;
-  const snow = hourly.snowfall || [];
+  // Next 12 hours from the hour we're in (by timestamp, not array position)
+  const next12Indices = nextHoursWindow(hourly, 12, now);
+  const next12 = sliceHourly(hourly, next12Indices);
 
-  const tempNow = temps[currentHour];
-  const tempHigh = Math.max(...temps.slice(currentHour, currentHour + 12));
-  const tempLow = Math.min(...temps.slice(currentHour, currentHour + 12));
-
-  const dewNow = dew[currentHour];
-  const gustMax = Math.max(...gusts.slice(currentHour, currentHour + 12));
-  const precipTotal = precip.slice(currentHour, currentHour + 12).reduce((a, b) => a + b, 0);
-  const snowTotal = snow.slice(currentHour, currentHour + 12).reduce((a, b) => a + b, 0);
+  // Pull key stats
+  const temps = next12.temperature_2m;
+  const dew = next12.dewpoint_2m;
+  const gusts = next12.windgusts_10m;
+  const precip = next12.precipitation;
+  const snow = next12.snowfall || [];
+
+  const tempNow = temps[0];
+  const tempHigh = Math.max(...temps);
+  const tempLow = Math.min(...temps);
+
+  const dewNow = dew[0];
+  const gustMax = Math.max(...gusts);
+
+  // Sustained wind + direction (older cached forecasts may lack them)
+  const speeds = next12.windspeed_10m || [];
+  const sustainedMax = speeds.length ? Math.max(...speeds) : null;
+  const windDir = prevailingDirection(speeds, next12.winddirection_10m || []);
+  const front = detectWindShifts(hourly, next12Indices).front;
+  const fog = detectValleyFog(hourly, next12Indices);
+  const ptype = classifyPrecipTypes(hourly, next12Indices);
+  const storms = assessStorms(hourly, next12Indices);
+  const precipTotal = precip.reduce((a, b) => a + b, 0);
+  const snowTotal = snow.reduce((a, b) => a + b, 0);
+  const rainChance = summarizePrecipChance(next12, temps.map((_, i) => i));
+
+  // NWS alerts in effect for the rest of today
+  const endOfToday = dayBounds(dayKey(now)).end;
+  const todayAlerts = alertsForWindow(context.alerts, now, endOfToday);
+  const warning = getDominantAlert(todayAlerts);
+
+  // Today's high vs. KAVL normals/records — past mid‑afternoon the
+  // 12‑hour window is mostly tonight, so skip the comparison
+  const climate = compareToClimate({ high: currentHour < 15 ? tempHigh : null }, now);
 
   // Dominant factor
-  const dominant = getDominantFactor(tempHigh, gustMax, precipTotal, snowTotal);
+  // Worst air over the same 12 hours (null without air‑quality data)
+  const air = peakAirQuality(context.airQuality, next12.time);
+
+  const dominant = getDominantFactor(tempHigh, gustMax, precipTotal, snowTotal, todayAlerts, {
+    aqiMax: air?.aqi,
+    fogLevel: fog.level,
+    ice: iceLoad(ptype),
+    stormRisk: storms.maxRisk
+  });
 
-  // Base descriptors
+  // Base descriptors (ice and mixes override plain rain/snow wording)
   const tempDesc = describeTemp(tempNow, tempHigh);
-  const precipDesc = describePrecip(precipTotal, snowTotal);
+  const precipDesc = describePrecipTypes(ptype) ?? describePrecip(precipTotal, snowTotal);
   const windDesc = describeWind(gustMax);
 
   // Clothing logic (A2)
@@ -395,6 +437,26 @@ export function getTodayActionOutlook(hourly) {
   let headline = "A straightforward day.";
 
   switch (dominant) {
+    case "alert":
+      emoji = alertEmoji(warning);
+      headline = alertHeadline(warning);
+      break;
+    case "air":
+      emoji = "😷";
+      headline = "Limit strenuous outdoor activity.";
+      break;
+    case "fog":
+      emoji = "🌫️";
+      headline = "Take it slow through the valley fog.";
+      break;
+    case "ice":
+      emoji = "🧊";
+      headline = "Stay off icy roads if you can.";
+      break;
+    case "storms":
+      emoji = "⛈️";
+      headline = "Plan outdoor time around the storms.";
+      break;
     case "snow":
       emoji = "❄️";
       headline = "Allow extra travel time.";
@@ -431,20 +493,43 @@ export function getTodayActionOutlook(hourly) {
     tempLow,
     dewNow,
     gustMax,
+    sustainedMax,
+    windDir,
+    front,
     precipTotal,
-    precipHours: precip.slice(currentHour, currentHour + 12),
+    rainChance,
+    next12,
+    typeNote: precipTypeBullet(ptype),
+    stormNote: stormBullet(storms),
+    mainlySnow: snowTotal > 0 && ptype.dominant === "snow",
+    currentHour,
     snowTotal,
+    fogNote: fogBullet(fog, hourly),
+    inversionNote: inversionBullet(fog),
+    frostNote: context.frost?.tonight?.bullet ?? null,
     sunrise: hourly.sunrise,
     sunset: hourly.sunset,
-    clothing
+    clothing,
+    elevation: context.elevation,
+    climateNote: describeClimate(climate)
   });
 
+  // ⚠️ The warning itself leads the bullets, then poor air
+  const leads = [warning && alertBullet(warning), airQualityBullet(air)].filter(Boolean);
+  const shownBullets = [...leads, ...bullets].slice(0, 3);
+
   return {
-    badge: { text: "Today", class: "badge-easy" },
+    badge: warning
+      ? { text: warning.event, class: "badge-alert" }
+      : hazardBadge(dominant, { air, storms, ptype }) ?? { text: "Today", class: "badge-easy" },
     emoji,
     headline,
     text: mainSentence,
-    bullets,
+    bullets: shownBullets,
+    climate,
+    dominant,
+    gustMax,
+    storms,
     suppressMicroAdvice: false,
     isEndOfDay: false
   };
@@ -459,15 +544,40 @@ function buildTodayBullets({
   tempLow,
   dewNow,
   gustMax,
+  sustainedMax,
+  windDir,
+  front,
   precipTotal,
-  precipHours,
+  rainChance,
+  next12,
+  typeNote,
+  stormNote,
+  mainlySnow,
+  currentHour,
   snowTotal,
+  fogNote,
+  inversionNote,
+  frostNote,
   sunrise,
   sunset,
-  clothing
+  clothing,
+  elevation,
+  climateNote
 }) {
   const bullets = [];
 
+  // 🧊 Freezing rain / sleet / mix — the most dangerous thing we can say
+  if (typeNote) bullets.push(typeNote);
+
+  // ⛈️ Storm timing — when to be off the ridges
+  if (stormNote) bullets.push(stormNote);
+
+  // 🌫️ Valley fog is timed and time‑sensitive
+  if (fogNote) bullets.push(fogNote);
+
+  // 🌱 Frost tonight (quiet in midwinter — see frost.js)
+  if (frostNote) bullets.push(frostNote);
+
   // 🌡️ Temperature bullets
   if (tempNow <= 32) bullets.push("Cold start — layers feel good this morning.");
   else if (tempNow <= 45) bullets.push("Chilly morning air — a jacket helps.");
@@ -475,19 +585,26 @@ function buildTodayBullets({
   else if (tempHigh >= 75) bullets.push("Warm afternoon ahead — short sleeves weather.");
   else if (tempHigh - tempLow >= 18) bullets.push("Big warm‑up from morning to afternoon.");
 
-  // 💨 Wind bullets
-  if (gustMax >= 35) bullets.push("Gusty at times — you’ll notice it.");
-  else if (gustMax >= 22) bullets.push("A bit breezy this afternoon.");
-
-  // 🌧️ Rain bullets
-  if (precipTotal > 0.05) {
-    const firstWet = precipHours.findIndex(v => v > 0.02);
-    if (firstWet !== -1) {
-      const hour = new Date().getHours() + firstWet;
-      bullets.push(`Rain may drift in around ${to12Hour(hour)}.`);
-    } else {
-      bullets.push("Spotty showers possible later today.");
-    }
+  // 📅 Departure from normal / near‑record
+  if (climateNote) bullets.push(climateNote);
+
+  // ⛰️ Station vs. your elevation (readings above are already adjusted)
+  const stationOffset = describeStationOffset(elevation);
+  if (stationOffset) bullets.push(stationOffset);
+
+  // 🏔️ Warm ridges over a cold valley
+  if (inversionNote) bullets.push(inversionNote);
+
+  // 💨 Wind bullets — a front passing beats plain gustiness
+  const wind = sustainedMax != null ? describeSustainedWind(sustainedMax, gustMax, windDir) : null;
+
+  if (front) bullets.push(frontBullet(front));
+  else if (gustMax >= 35) bullets.push(wind ? `Gusty at times — ${wind}.` : "Gusty at times — you’ll notice it.");
+  else if (gustMax >= 22) bullets.push(wind ? `A bit breezy this afternoon — ${wind}.` : "A bit breezy this afternoon.");
+
+  // 🌧️ Rain bullets — chance and amount together (snow has its own)
+  if (!typeNote && !mainlySnow && precipWorthMentioning(rainChance)) {
+    bullets.push(describePrecipChance(rainChance, next12));
   }
 
   // ❄️ Snow bullets
@@ -503,26 +620,22 @@ function buildTodayBullets({
 
   // 🌄 Sunrise / sunset bullets
   if (sunrise && sunrise.length > 0) {
-    const sunriseHour = new Date(sunrise[0]).getHours();
-    if (new Date().getHours() < sunriseHour) {
+    const sunriseHour = localHour(sunrise[0]);
+    if (currentHour < sunriseHour) {
       bullets.push(`Sunrise around ${to12Hour(sunriseHour)}.`);
     }
   }
 
   if (sunset && sunset.length > 0) {
-    const sunsetHour = new Date(sunset[0]).getHours();
-    if (new Date().getHours() < sunsetHour) {
+    const sunsetHour = localHour(sunset[0]);
+    if (currentHour < sunsetHour) {
       bullets.push(`Sunset near ${to12Hour(sunsetHour)} — cooling after.`);
     }
   }
 
   // 🏔️ Mountain microclimate bullets
   if (gustMax >= 20 && tempHigh <= 55) {
-    bullets.push("Cooler on the ridges — breezy in higher spots.");
-  }
-
-  if (precipTotal > 0.05 && tempNow <= 40) {
-    bullets.push("Colder hollows may see a brief mix early.");
+    bullets.push(describeRidgeOffset(elevation) ?? "Cooler on the ridges — breezy in higher spots.");
   }
 
   if (tempHigh >= 70 && dewNow >= 60) {
@@ -563,8 +676,9 @@ function getClothingAdviceTomorrow(tempStats, dewStats, windStats) {
 // ------------------------------------------------------------
 // TOMORROW ACTION OUTLOOK (Option A)
 // ------------------------------------------------------------
-export function getHumanActionOutlook(hourly) {
-  const indices = getTomorrowWindow(hourly);
+export function getHumanActionOutlook(hourly, context = {}) {
+  const now = context.now ?? new Date();
+  const indices = getTomorrowWindow(hourly, now);
 
   if (!indices.length) {
     return {
@@ -581,13 +695,17 @@ export function getHumanActionOutlook(hourly) {
   const tempStats = getTempStats(win);
   const dewStats = getDewStats(win);
   const windStats = getWindStats(win);
+  const front = detectWindShifts(hourly, indices).front;
+  const fog = detectValleyFog(hourly, indices);
+  const ptype = classifyPrecipTypes(hourly, indices);
+  const storms = assessStorms(hourly, indices);
   const precipTotal = getPrecipTotal(win);
   const snowTotal = getSnowTotal(win);
 
   const avgTemp = tempStats.avg ?? tempStats.max ?? tempStats.min ?? null;
   const gustMax = windStats.max ?? 0;
 
-  const precipDesc = describePrecip(precipTotal, snowTotal);
+  const precipDesc = describePrecipTypes(ptype) ?? describePrecip(precipTotal, snowTotal);
   const windDesc = describeWind(gustMax);
   const tempDesc = describeTempRange(tempStats);
 
@@ -601,7 +719,22 @@ export function getHumanActionOutlook(hourly) {
     avgTemp >= 60 &&
     avgTemp <= 75;
 
-  const dominant = getDominantFactor(tempHighF, gustMax, precipTotal, snowTotal);
+  // NWS alerts in effect at any point tomorrow
+  const { start: tomorrowStart, end: tomorrowEnd } = dayBounds(addDays(dayKey(now), 1));
+
+  const tomorrowAlerts = alertsForWindow(context.alerts, tomorrowStart, tomorrowEnd);
+  const warning = getDominantAlert(tomorrowAlerts);
+
+  const climate = compareToClimate({ high: tempStats.max, low: tempStats.min }, tomorrowStart);
+
+  const air = peakAirQuality(context.airQuality, win.time);
+
+  const dominant = getDominantFactor(tempHighF, gustMax, precipTotal, snowTotal, tomorrowAlerts, {
+    aqiMax: air?.aqi,
+    fogLevel: fog.level,
+    ice: iceLoad(ptype),
+    stormRisk: storms.maxRisk
+  });
 
   // Clothing logic (A2)
   const clothing = getClothingAdviceTomorrow(tempStats, dewStats, windStats);
@@ -616,38 +749,7 @@ export function getHumanActionOutlook(hourly) {
   mainSentence = mainSentence.charAt(0).toUpperCase() + mainSentence.slice(1) + ".";
 
   // Emoji + headline
-  let emoji = "🙂";
-  let headline = "A straightforward day.";
-
-  switch (dominant) {
-    case "snow":
-      emoji = "❄️";
-      headline = "Allow extra travel time.";
-      break;
-    case "rain":
-      emoji = "🌧️";
-      headline = "Bring a rain jacket.";
-      break;
-    case "wind":
-      emoji = "💨";
-      headline = "Factor in the wind.";
-      break;
-    case "heat":
-      emoji = "🥵";
-      headline = "Stay hydrated.";
-      break;
-    case "cold":
-      emoji = "🥶";
-      headline = "Dress in warm layers.";
-      break;
-    case "goldilocks":
-      emoji = "🌟";
-      headline = "Make outdoor plans.";
-      break;
-    default:
-      emoji = "🙂";
-      headline = "A calm, easygoing day.";
-  }
+  const { emoji, headline } = getPlanningEmojiHeadline(dominant, warning);
 
   // Build bullets (Option A — supporting details only)
   const bullets = buildTomorrowBullets({
@@ -655,20 +757,81 @@ export function getHumanActionOutlook(hourly) {
     tempStats,
     dewStats,
     windStats,
+    front,
     precipTotal,
     snowTotal,
-    clothing
+    clothing,
+    fogNote: fogBullet(fog, hourly),
+    inversionNote: inversionBullet(fog),
+    frostNote: context.frost?.tomorrowNight?.bullet ?? null,
+    typeNote: precipTypeBullet(ptype),
+    stormNote: stormBullet(storms),
+    mainlySnow: snowTotal > 0 && ptype.dominant === "snow",
+    elevation: context.elevation,
+    climateNote: describeClimate(climate)
   });
 
+  const leads = [warning && alertBullet(warning), airQualityBullet(air)].filter(Boolean);
+  const shownBullets = [...leads, ...bullets].slice(0, 3);
+
   return {
-    badge: { text: isGoldilocks ? "Goldilocks Day" : "Tomorrow", class: isGoldilocks ? "badge-goldilocks" : "badge-easy" },
+    badge: getPlanningBadge(warning, isGoldilocks, "Tomorrow", hazardBadge(dominant, { air, storms, ptype })),
     emoji,
     headline,
     text: mainSentence,
-    bullets
+    bullets: shownBullets,
+    climate
   };
 }
 
+// ------------------------------------------------------------
+// PLANNING‑DAY EMOJI, HEADLINE + BADGE (tomorrow + extended days)
+// ------------------------------------------------------------
+function getPlanningEmojiHeadline(dominant, warning) {
+  switch (dominant) {
+    case "alert":
+      return { emoji: alertEmoji(warning), headline: alertHeadline(warning) };
+    case "air":
+      return { emoji: "😷", headline: "Limit strenuous outdoor activity." };
+    case "fog":
+      return { emoji: "🌫️", headline: "Plan for a foggy morning drive." };
+    case "ice":
+      return { emoji: "🧊", headline: "Plan around icy roads." };
+    case "storms":
+      return { emoji: "⛈️", headline: "Get outdoor plans in early." };
+    case "snow":
+      return { emoji: "❄️", headline: "Allow extra travel time." };
+    case "rain":
+      return { emoji: "🌧️", headline: "Bring a rain jacket." };
+    case "wind":
+      return { emoji: "💨", headline: "Factor in the wind." };
+    case "heat":
+      return { emoji: "🥵", headline: "Stay hydrated." };
+    case "cold":
+      return { emoji: "🥶", headline: "Dress in warm layers." };
+    case "goldilocks":
+      return { emoji: "🌟", headline: "Make outdoor plans." };
+    default:
+      return { emoji: "🙂", headline: "A calm, easygoing day." };
+  }
+}
+
+// A warning overrides even a Goldilocks badge; so does a hazard badge
+function getPlanningBadge(warning, isGoldilocks, label, hazard = null) {
+  if (warning) return { text: warning.event, class: "badge-alert" };
+  if (hazard) return hazard;
+  if (isGoldilocks) return { text: "Goldilocks Day", class: "badge-goldilocks" };
+  return { text: label, class: "badge-easy" };
+}
+
+// Drivers that bring their own badge (unhealthy air, storms), else null
+function hazardBadge(dominant, { air = null, storms = null, ptype = null } = {}) {
+  if (dominant === "ice") return iceBadge(ptype);
+  if (dominant === "air" && air) return airQualityBadge(air);
+  if (dominant === "storms" && storms?.level) return stormBadge(storms);
+  return null;
+}
+
 // ------------------------------------------------------------
 // TOMORROW BULLET ENGINE (Option A)
 // ------------------------------------------------------------
@@ -677,9 +840,18 @@ function buildTomorrowBullets({
   tempStats,
   dewStats,
   windStats,
+  front,
   precipTotal,
   snowTotal,
-  clothing
+  clothing,
+  fogNote,
+  inversionNote,
+  frostNote,
+  typeNote,
+  stormNote,
+  mainlySnow,
+  elevation,
+  climateNote
 }) {
   const bullets = [];
 
@@ -692,6 +864,18 @@ function buildTomorrowBullets({
   const precipArr = win.precipitation || [];
   const snowArr = win.snowfall || [];
 
+  // 🧊 Freezing rain / sleet / mix
+  if (typeNote) bullets.push(typeNote);
+
+  // ⛈️ Afternoon storms
+  if (stormNote) bullets.push(stormNote);
+
+  // 🌫️ Morning valley fog
+  if (fogNote) bullets.push(fogNote);
+
+  // 🌱 Frost tomorrow night
+  if (frostNote) bullets.push(frostNote);
+
   // 🌡️ Temperature bullets
   if (maxT != null && minT != null) {
     if (maxT <= 40) bullets.push("Plan for a cold day overall.");
@@ -701,23 +885,39 @@ function buildTomorrowBullets({
     else bullets.push("Plan for a hot afternoon.");
   }
 
+  // 📅 Departure from normal / near‑record
+  if (climateNote) bullets.push(climateNote);
+
+  // 🏔️ Warm ridges over a cold valley
+  if (inversionNote) bullets.push(inversionNote);
+
   // 💧 Humidity bullets
   if (avgDew != null) {
     if (avgDew >= 65) bullets.push("Humidity may feel noticeable at times.");
     else if (avgDew <= 25) bullets.push("Air stays dry and comfortable.");
   }
 
-  // 💨 Wind bullets
-  if (maxGust >= 35) bullets.push("Gusty at times — factor in wind for outdoor plans.");
-  else if (maxGust >= 22) bullets.push("A bit breezy, especially in the afternoon.");
+  // 💨 Wind bullets — sustained next to gusts when we have it
+  const speeds = win.windspeed_10m || [];
+  const wind = speeds.length
+    ? describeSustainedWind(Math.max(...speeds), maxGust, prevailingDirection(speeds, win.winddirection_10m || []))
+    : null;
 
-  // 🌧️ Rain timing
-  const rainTiming = findEventTiming(win, 0, (win.time || []).length - 1, (i, w) => (w.precipitation[i] ?? 0) > 0.02);
+  if (front) bullets.push(frontBullet(front));
+  else if (maxGust >= 35) bullets.push(wind ? `Gusty at times — ${wind}.` : "Gusty at times — factor in wind for outdoor plans.");
+  else if (maxGust >= 22) bullets.push(wind ? `A bit breezy, especially in the afternoon — ${wind}.` : "A bit breezy, especially in the afternoon.");
 
-  if (precipTotal > 0.05 && rainTiming.firstHour !== null) {
-    const phrase = timingPhrase(rainTiming, true);
-    bullets.push(`Rain most likely${phrase}.`);
-  } else if (precipTotal > 0.05) {
+  // 🌧️ Rain timing — chance and amount together (wintry types and snow have their own)
+  const rainChance = summarizePrecipChance(win, (win.time || []).map((_, i) => i));
+
+  const rainWorthIt = !typeNote && !mainlySnow && precipWorthMentioning(rainChance);
+
+  if (rainWorthIt && rainChance.start !== null) {
+    const rainTiming = { firstHour: rainChance.start, lastHour: rainChance.end };
+    const phrase = timingPhrase(rainTiming, true, (win.time || []).map(t => localHour(t)));
+    const lead = chanceLead(rainChance);
+    bullets.push(lead ? `${lead}${phrase}.` : `Rain most likely${phrase}.`);
+  } else if (rainWorthIt) {
     bullets.push("Scattered showers possible at times.");
   }
 
@@ -734,7 +934,7 @@ function buildTomorrowBullets({
 
   // 🏔️ Mountain microclimate
   if (maxGust >= 20 && maxT <= 55) {
-    bullets.push("Cooler and breezier on higher ridges.");
+    bullets.push(describeRidgeOffset(elevation) ?? "Cooler and breezier on higher ridges.");
   }
 
   // 👕 Clothing bullet (Option A2 — only if not used in main sentence)
@@ -745,7 +945,55 @@ function buildTomorrowBullets({
   return unique.slice(0, 3);
 }
 // ============================================================
-// PART 4 — Comfort Module + Seasonal Context + Final Exports
+// PART 3b — EXTENDED DAYS (Open‑Meteo daily aggregates)
+// ============================================================
+
+/**
+ * Outlook for one day of the extended strip, using the same
+ * dominant‑factor + badge logic as tomorrow.
+ *
+ *   day = { dayKey, tempHigh, tempLow, gustMax, precipTotal, snowTotal, label }
+ *   context.alerts = active NWS alerts
+ */
+export function getDailyOutlook(day, context = {}) {
+  const { start, end } = dayBounds(day.dayKey);
+
+  const dayAlerts = alertsForWindow(context.alerts, start, end);
+  const warning = getDominantAlert(dayAlerts);
+
+  const gustMax = day.gustMax ?? 0;
+  const precipTotal = day.precipTotal ?? 0;
+  const snowTotal = day.snowTotal ?? 0;
+
+  const avgTemp =
+    day.tempHigh != null && day.tempLow != null ? (day.tempHigh + day.tempLow) / 2 : null;
+
+  const isGoldilocks =
+    precipTotal < 0.05 &&
+    snowTotal === 0 &&
+    gustMax < 26 &&
+    avgTemp != null &&
+    avgTemp >= 60 &&
+    avgTemp <= 75;
+
+  const dominant = getDominantFactor(day.tempHigh, gustMax, precipTotal, snowTotal, dayAlerts);
+  const { emoji, headline } = getPlanningEmojiHeadline(dominant, warning);
+
+  const tempDesc = describeTempRange({ min: day.tempLow, max: day.tempHigh });
+  let text = mergePhrases(tempDesc, describePrecip(precipTotal, snowTotal), describeWind(gustMax));
+  text = text.charAt(0).toUpperCase() + text.slice(1) + ".";
+
+  return {
+    dominant,
+    badge: getPlanningBadge(warning, isGoldilocks, day.label ?? ""),
+    emoji,
+    headline,
+    text
+  };
+}
+
+// ============================================================
+// PART 4 — Comfort Module + Final Exports
 // ============================================================
 
 // ------------------------------------------------------------
@@ -783,43 +1031,6 @@ export function getComfortSummary(temp, dew) {
   }
 }
 
-// ------------------------------------------------------------
-// Seasonal Normals
-// ------------------------------------------------------------
-const NORMAL_HIGHS = {
-  0: 47, 1: 51, 2: 59, 3: 68, 4: 75, 5: 82,
-  6: 85, 7: 84, 8: 78, 9: 69, 10: 59, 11: 50
-};
-
-const NORMAL_LOWS = {
-  0: 28, 1: 31, 2: 36, 3: 43, 4: 52, 5: 60,
-  6: 64, 7: 63, 8: 57, 9: 46, 10: 37, 11: 31
-};
-
-// ------------------------------------------------------------
-// Seasonal Context
-// ------------------------------------------------------------
-export function getSeasonalContext(tempHigh, tempLow) {
-  const m = new Date().getMonth();
-  const normalHigh = NORMAL_HIGHS[m];
-  const normalLow = NORMAL_LOWS[m];
-
-  let phrases = [];
-
-  if (tempHigh != null) {
-    if (tempHigh >= normalHigh + 10) phrases.push("warmer than normal");
-    else if (tempHigh <= normalHigh - 10) phrases.push("colder than normal");
-  }
-
-  if (tempLow != null) {
-    if (tempLow >= normalLow + 10) phrases.push("mild nights for the season");
-    else if (tempLow <= normalLow - 10) phrases.push("chilly nights for the season");
-  }
-
-  if (!phrases.length) return "Typical for this time of year.";
-  return phrases.join(", ") + ".";
-}
-
 // ------------------------------------------------------------
 // Goldilocks Check (shared)
 // ------------------------------------------------------------
@@ -838,9 +1049,12 @@ function isGoldilocks(tempNow, tempHigh) {
 // ------------------------------------------------------------
 // getTodayActionOutlook
 // getHumanActionOutlook
+// getDailyOutlook
 // getComfortCategory
 // getComfortSummary
-// getSeasonalContext
+//
+// Climate context (KAVL normals + records) is the `climateNote` bullet
+// on Today and Tomorrow — see climatology.js.
 
 // Everything else is intentionally internal.
 // ============================================================
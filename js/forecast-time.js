@@ -0,0 +1,224 @@
+// /js/forecast-time.js
+// ============================================================
+// FORECAST TIME — Open‑Meteo timestamps → zoned instants,
+// day / daypart windows in America/New_York
+//
+// Open‑Meteo is asked for America/New_York, so its hourly times
+// are Eastern wall‑clock strings with no offset ("2026-03-08T02:00").
+// `new Date()` would read those in the viewer's zone; everything
+// here reads them in FORECAST_TZ instead, DST included.
+// ============================================================
+
+export const FORECAST_TZ = "America/New_York";
+
+const partsFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: FORECAST_TZ,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit"
+});
+
+// ------------------------------------------------------------
+// ZONED PARTS + OFFSETS
+// ------------------------------------------------------------
+
+/**
+ * Wall‑clock parts of an instant in FORECAST_TZ.
+ */
+export function zonedParts(date) {
+  const out = {};
+  for (const { type, value } of partsFormatter.formatToParts(date)) {
+    if (type !== "literal") out[type] = Number(value);
+  }
+  return out;
+}
+
+// Milliseconds FORECAST_TZ is ahead of UTC at `date` (e.g. −4 h in EDT)
+function offsetMs(date) {
+  const p = zonedParts(date);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Open‑Meteo time string → Date (an absolute instant).
+ * Strings that already carry Z or an offset are passed through.
+ */
+export function toInstant(value) {
+  if (value instanceof Date) return value;
+  if (/(Z|[+-]\d\d:?\d\d)$/.test(value)) return new Date(value);
+
+  const [datePart, timePart = "00:00"] = value.split("T");
+  const [y, m, d] = datePart.split("-").map(Number);
+  const [hh, mm = 0] = timePart.split(":").map(Number);
+
+  const wall = Date.UTC(y, m - 1, d, hh, mm);
+
+  // Two passes settle the offset on either side of a DST change
+  let t = wall - offsetMs(new Date(wall));
+  t = wall - offsetMs(new Date(t));
+  return new Date(t);
+}
+
+// Parsed instants per Open‑Meteo `time` array (they're parsed a lot)
+const instantCache = new WeakMap();
+
+/**
+ * The `time` array of an hourly block as Dates.
+ */
+export function hourlyInstants(hourly) {
+  const times = hourly?.time || [];
+  if (!instantCache.has(times)) instantCache.set(times, times.map(toInstant));
+  return instantCache.get(times);
+}
+
+// ------------------------------------------------------------
+// DAYS
+// ------------------------------------------------------------
+
+/**
+ * "2026-10-19" — the Eastern calendar day of an instant or time string.
+ */
+export function dayKey(value = new Date()) {
+  const p = zonedParts(toInstant(value));
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+/**
+ * Calendar arithmetic on day keys ("2026-10-19" + 1 → "2026-10-20").
+ */
+export function addDays(key, n) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+/**
+ * { start, end } instants of an Eastern calendar day (23 or 25 hours across DST).
+ */
+export function dayBounds(key) {
+  const start = toInstant(`${key}T00:00`);
+  const end = new Date(toInstant(`${addDays(key, 1)}T00:00`).getTime() - 1);
+  return { start, end };
+}
+
+/**
+ * Local hour (0–23) in FORECAST_TZ.
+ */
+export function localHour(value = new Date()) {
+  return zonedParts(toInstant(value)).hour;
+}
+
+/**
+ * "Thu" / "Thursday" for a day key.
+ */
+export function weekdayName(key, style = "long") {
+  // Noon dodges any DST edge
+  return toInstant(`${key}T12:00`).toLocaleDateString("en-US", { timeZone: FORECAST_TZ, weekday: style });
+}
+
+/**
+ * "3 PM" in FORECAST_TZ.
+ */
+export function formatHour(value) {
+  const h = localHour(value);
+  return `${h % 12 || 12} ${h >= 12 ? "PM" : "AM"}`;
+}
+
+// ------------------------------------------------------------
+// WINDOWS (arrays of hourly indices)
+// ------------------------------------------------------------
+
+/**
+ * Index of the hour that contains `now` (the latest time ≤ now),
+ * or the first index when the forecast starts in the future.
+ */
+export function currentHourIndex(hourly, now = new Date()) {
+  const instants = hourlyInstants(hourly);
+  let idx = 0;
+  instants.forEach((t, i) => {
+    if (t <= now) idx = i;
+  });
+  return idx;
+}
+
+/**
+ * Every hour of an Eastern calendar day.
+ */
+export function dayWindow(hourly, key) {
+  return hourlyInstants(hourly)
+    .map((t, i) => (dayKey(t) === key ? i : -1))
+    .filter(i => i !== -1);
+}
+
+/**
+ * From the current hour to the end of today.
+ */
+export function remainingDayWindow(hourly, now = new Date()) {
+  const startIdx = currentHourIndex(hourly, now);
+  return dayWindow(hourly, dayKey(now)).filter(i => i >= startIdx);
+}
+
+/**
+ * All of tomorrow (Eastern).
+ */
+export function tomorrowWindow(hourly, now = new Date()) {
+  return dayWindow(hourly, addDays(dayKey(now), 1));
+}
+
+/**
+ * The night that starts on `key`: 6 PM that evening to 9 AM the next morning.
+ */
+export function nightWindow(hourly, key, { from = 18, to = 9 } = {}) {
+  const start = toInstant(`${key}T${String(from).padStart(2, "0")}:00`);
+  const end = toInstant(`${addDays(key, 1)}T${String(to).padStart(2, "0")}:00`);
+
+  return hourlyInstants(hourly)
+    .map((t, i) => (t >= start && t <= end ? i : -1))
+    .filter(i => i !== -1);
+}
+
+/**
+ * The next `hours` hourly steps, starting with the current hour.
+ */
+export function nextHoursWindow(hourly, hours, now = new Date()) {
+  const startIdx = currentHourIndex(hourly, now);
+  const total = hourlyInstants(hourly).length;
+  const out = [];
+  for (let i = startIdx; i < Math.min(total, startIdx + hours); i++) out.push(i);
+  return out;
+}
+
+// ------------------------------------------------------------
+// DAYPARTS
+// ------------------------------------------------------------
+export const DAYPARTS = [
+  { name: "early morning", from: 5, to: 9 },
+  { name: "late morning", from: 9, to: 12 },
+  { name: "early afternoon", from: 12, to: 15 },
+  { name: "late afternoon", from: 15, to: 18 },
+  { name: "evening", from: 18, to: 22 }
+];
+
+/**
+ * "early morning" … "evening", else "overnight", for a local hour.
+ */
+export function daypartOf(hour) {
+  return DAYPARTS.find(p => hour >= p.from && hour < p.to)?.name ?? "overnight";
+}
+
+/**
+ * { "early morning": [indices], ..., overnight: [indices] } for one day.
+ */
+export function daypartWindows(hourly, key) {
+  const instants = hourlyInstants(hourly);
+  const out = Object.fromEntries([...DAYPARTS.map(p => [p.name, []]), ["overnight", []]]);
+
+  for (const i of dayWindow(hourly, key)) {
+    out[daypartOf(localHour(instants[i]))].push(i);
+  }
+  return out;
+}
@@ -0,0 +1,209 @@
+// /js/frost.js
+// ============================================================
+// FROST + FREEZE — overnight risk for gardeners, tonight and
+// tomorrow night, read against KAVL's spring/fall frost dates
+//
+// The 2 m forecast low is only half of it: on clear, calm nights
+// the ground and sheltered hollows radiate several degrees colder
+// than the air a few feet up, so cloud, wind and the model's
+// surface (0 cm soil) temperature all feed the risk level.
+// ============================================================
+
+import { KAVL_FROST } from './data/kavl-frost.js';
+import { dayKey, addDays, nightWindow } from './forecast-time.js';
+import { formatTemp } from './units.js';
+
+// Levels, mildest first
+export const FROST_LEVELS = ["patchy", "frost", "freeze", "hard-freeze"];
+
+// Clear + calm lets the surface fall this far below the 2 m low
+const RADIATIONAL_COOLING = { clearCalm: 4, partly: 2 };  // °F
+
+// Dewpoint this far below the surface low: too dry for visible frost
+const DRY_AIR_GAP = 10;  // °F
+
+// Days either side of the median dates that still count as frost season
+const SEASON_MARGIN_DAYS = 21;
+
+// ------------------------------------------------------------
+// SEASON (KAVL frost climatology)
+// ------------------------------------------------------------
+
+// "04-11" → day of year in a non‑leap year (0 = Jan 1)
+function dayOfYear(mmdd) {
+  const [m, d] = mmdd.split("-").map(Number);
+  return (Date.UTC(2021, m - 1, d) - Date.UTC(2021, 0, 1)) / 86400000;
+}
+
+// "04-11" → "Apr 11"
+function formatMonthDay(mmdd) {
+  const [m, d] = mmdd.split("-").map(Number);
+  return new Date(Date.UTC(2021, m - 1, d))
+    .toLocaleDateString("en-US", { month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+/**
+ * "spring" | "growing" | "fall" | "dormant" for the Eastern date of `date`.
+ * Spring and fall run three weeks either side of the median frost dates.
+ */
+export function getFrostSeason(date = new Date()) {
+  const today = dayOfYear(dayKey(date).slice(5));
+  const { lastSpring, firstFall } = KAVL_FROST;
+
+  const springStart = dayOfYear(lastSpring[28]) - SEASON_MARGIN_DAYS;
+  const springEnd = dayOfYear(lastSpring[36]) + SEASON_MARGIN_DAYS;
+  const fallStart = dayOfYear(firstFall[36]) - SEASON_MARGIN_DAYS;
+  const fallEnd = dayOfYear(firstFall[28]) + SEASON_MARGIN_DAYS;
+
+  if (today >= springStart && today <= springEnd) return "spring";
+  if (today > springEnd && today < fallStart) return "growing";
+  if (today >= fallStart && today <= fallEnd) return "fall";
+  return "dormant";
+}
+
+// One sentence placing the night against the usual dates, or null
+function seasonalNote(level, season, date) {
+  const today = dayOfYear(dayKey(date).slice(5));
+  const freezing = level === "freeze" || level === "hard-freeze";
+  const kind = freezing ? "freeze" : "frost";
+  const threshold = freezing ? 32 : 36;
+
+  if (season === "spring") {
+    const usual = KAVL_FROST.lastSpring[threshold];
+    return today > dayOfYear(usual)
+      ? `Late for the season — the average last ${kind} is ${formatMonthDay(usual)}.`
+      : `Typical for now — the average last ${kind} is ${formatMonthDay(usual)}.`;
+  }
+
+  if (season === "fall") {
+    const usual = KAVL_FROST.firstFall[threshold];
+    return today < dayOfYear(usual)
+      ? `Early for the season — the first ${kind} usually comes around ${formatMonthDay(usual)}.`
+      : `Right on schedule — the first ${kind} usually comes around ${formatMonthDay(usual)}.`;
+  }
+
+  if (season === "growing") return "Rare this time of year.";
+  return null;
+}
+
+// ------------------------------------------------------------
+// ONE NIGHT
+// ------------------------------------------------------------
+const mean = arr => (arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : null);
+
+/**
+ * Frost risk over one night of hourly indices.
+ * Returns { level, low, surfaceLow, soilLow, clearCalm } or null
+ * without temperatures; level is one of FROST_LEVELS or null.
+ */
+export function assessFrostNight(hourly, indices) {
+  const temps = indices.map(i => hourly.temperature_2m?.[i]).filter(v => v != null);
+  if (!temps.length) return null;
+
+  const low = Math.min(...temps);
+  const lowAt = indices.find(i => hourly.temperature_2m?.[i] === low);
+
+  // Sky + wind over the coldest stretch (the low and the two hours before)
+  const pos = indices.indexOf(lowAt);
+  const coldest = indices.slice(Math.max(0, pos - 2), pos + 1);
+  const cloud = mean(coldest.map(i => hourly.cloudcover?.[i]).filter(v => v != null));
+  const wind = mean(coldest.map(i => hourly.windspeed_10m?.[i]).filter(v => v != null));
+
+  const clearCalm = cloud != null && wind != null && cloud <= 30 && wind <= 5;
+  const partly = cloud != null && wind != null && cloud <= 60 && wind <= 8;
+  const cooling = clearCalm ? RADIATIONAL_COOLING.clearCalm : partly ? RADIATIONAL_COOLING.partly : 0;
+
+  const soil = indices.map(i => hourly.soil_temperature_0cm?.[i]).filter(v => v != null);
+  const soilLow = soil.length ? Math.min(...soil) : null;
+
+  const surfaceLow = Math.min(low - cooling, soilLow ?? Infinity);
+  const dew = hourly.dewpoint_2m?.[lowAt] ?? null;
+
+  let level = null;
+  if (low <= 28) level = "hard-freeze";
+  else if (low <= 32) level = "freeze";
+  else if (surfaceLow <= 32 && low <= 36) level = clearCalm ? "frost" : "patchy";
+  else if (surfaceLow <= 34 && low <= 38) level = "patchy";
+
+  // Bone‑dry air: the ground gets cold but little frost forms
+  if (level === "frost" && dew != null && dew < surfaceLow - DRY_AIR_GAP) level = "patchy";
+
+  return {
+    level,
+    low: Math.round(low),
+    surfaceLow: Math.round(surfaceLow),
+    soilLow: soilLow != null ? Math.round(soilLow) : null,
+    clearCalm
+  };
+}
+
+// ------------------------------------------------------------
+// PHRASES
+// ------------------------------------------------------------
+
+/**
+ * Outlook bullet for a night ("tonight" / "tomorrow night"), or null.
+ * Quiet in midwinter, when a frost is just another night.
+ */
+export function frostBullet(night, label, season, date) {
+  if (!night?.level || season === "dormant") return null;
+
+  const low = formatTemp(night.low);
+  const main = {
+    "patchy": `🌱 Patchy frost in sheltered hollows ${label} — cover tender plants.`,
+    "frost": `🌱 Frost likely ${label} (low near ${low}) — cover tender plants or bring pots in.`,
+    "freeze": `🌱 Freeze ${label} — low near ${low}; tender plants need covering or bringing in.`,
+    "hard-freeze": `🌱 Hard freeze ${label} — low near ${low}; protect even hardy plants and drain hoses.`
+  }[night.level];
+
+  const note = seasonalNote(night.level, season, date);
+  return note ? `${main} ${note}` : main;
+}
+
+/**
+ * Detail row text for a night.
+ *   "Patchy frost in sheltered hollows — low 35°, ground near 31°."
+ *   "No frost expected (low 45°)."
+ */
+export function describeFrostNight(night) {
+  if (!night) return "Frost outlook unavailable.";
+  if (!night.level) return `No frost expected (low ${formatTemp(night.low)}).`;
+
+  const label = {
+    "patchy": "Patchy frost in sheltered hollows",
+    "frost": "Frost likely",
+    "freeze": "Freeze",
+    "hard-freeze": "Hard freeze"
+  }[night.level];
+
+  const ground = night.surfaceLow < night.low ? `, ground near ${formatTemp(night.surfaceLow)}` : "";
+  return `${label} — low ${formatTemp(night.low)}${ground}.`;
+}
+
+// ------------------------------------------------------------
+// TONIGHT + TOMORROW NIGHT
+// ------------------------------------------------------------
+
+/**
+ * { season, tonight, tomorrowNight } — each night is
+ * { ...assessFrostNight, bullet, detail }.
+ */
+export function buildFrostOutlook(hourly, now = new Date()) {
+  const season = getFrostSeason(now);
+  const today = dayKey(now);
+
+  const night = (key, label) => {
+    const result = assessFrostNight(hourly, nightWindow(hourly, key));
+    return {
+      ...result,
+      bullet: frostBullet(result, label, season, now),
+      detail: describeFrostNight(result)
+    };
+  };
+
+  return {
+    season,
+    tonight: night(today, "tonight"),
+    tomorrowNight: night(addDays(today, 1), "tomorrow night")
+  };
+}
@@ -0,0 +1,285 @@
+// /js/hourly-chart.js
+// ============================================================
+// HOURLY CHART — dependency‑free SVG for the expanded panels
+// Temp + dewpoint lines, precip bars + chance line, gust markers, "now" line,
+// tap/hover readout.
+// ============================================================
+
+import { toInstant, localHour, formatHour } from './forecast-time.js';
+import { getUnitSystem, displayTemp, formatTemp, formatSpeed, formatPrecip } from './units.js';
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// viewBox units — the SVG scales to the panel width
+const WIDTH = 600;
+const HEIGHT = 220;
+const PAD = { top: 26, right: 34, bottom: 24, left: 34 };
+
+// Precip bars use the bottom part of the plot, on their own scale
+const PRECIP_BAND = 0.35;
+const MIN_PRECIP_SCALE = 0.10;  // in/hr — keeps drizzle from filling the band
+
+// Gusts below this aren't worth a marker
+const GUST_MARKER_MIN = 15;     // mph
+const GUST_STRONG = 30;         // mph
+
+const COLORS = {
+  temp: "#ffa94d",
+  dew: "#8fb7ff",
+  precip: "rgba(120, 180, 255, 0.45)",
+  chance: "#5eead4",
+  gust: "#d8dff7",
+  gustStrong: "#fb7185",
+  grid: "rgba(255, 255, 255, 0.08)",
+  axis: "#9aa3c2",
+  now: "#ffffff"
+};
+
+// ------------------------------------------------------------
+// HELPERS
+// ------------------------------------------------------------
+function el(name, attrs = {}, text) {
+  const node = document.createElementNS(SVG_NS, name);
+  for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, v);
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function hourLabel(iso) {
+  const h = localHour(iso);
+  return `${h % 12 || 12}${h >= 12 ? "p" : "a"}`;
+}
+
+function linePath(points, x, y, key) {
+  let d = "";
+  let pen = false;
+
+  points.forEach((p, i) => {
+    if (p[key] == null) {
+      pen = false;
+      return;
+    }
+    d += `${pen ? "L" : "M"}${x(i).toFixed(1)},${y(p[key]).toFixed(1)} `;
+    pen = true;
+  });
+
+  return d.trim();
+}
+
+// `points` here carry display‑unit temps (see renderHourlyChart)
+function buildScales(points) {
+  const temps = points.flatMap(p => [p.temp, p.dew]).filter(v => v != null);
+  const lo = Math.floor((Math.min(...temps) - 3) / 5) * 5;
+  const hi = Math.ceil((Math.max(...temps) + 3) / 5) * 5;
+
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const step = points.length > 1 ? plotW / (points.length - 1) : 0;
+
+  const precipMax = Math.max(MIN_PRECIP_SCALE, ...points.map(p => p.precip ?? 0));
+  const bottom = HEIGHT - PAD.bottom;
+
+  return {
+    lo,
+    hi,
+    step,
+    gridStep: getUnitSystem() === "metric" ? 5 : 10,
+    x: i => PAD.left + i * step,
+    y: t => PAD.top + (1 - (t - lo) / (hi - lo)) * plotH,
+    precipH: v => ((v ?? 0) / precipMax) * plotH * PRECIP_BAND,
+    chanceY: v => bottom - (v / 100) * plotH * PRECIP_BAND,
+    bottom,
+    plotH
+  };
+}
+
+// ------------------------------------------------------------
+// LAYERS
+// ------------------------------------------------------------
+function drawGrid(svg, points, s) {
+  for (let t = s.lo; t <= s.hi; t += s.gridStep) {
+    const y = s.y(t);
+    svg.appendChild(el("line", { x1: PAD.left, x2: WIDTH - PAD.right, y1: y, y2: y, stroke: COLORS.grid }));
+    svg.appendChild(el("text", { x: PAD.left - 6, y: y + 4, "text-anchor": "end", class: "chart-axis" }, `${t}°`));
+  }
+
+  // Hour labels every 3 hours
+  points.forEach((p, i) => {
+    if (localHour(p.time) % 3 !== 0) return;
+    svg.appendChild(el("text", { x: s.x(i), y: HEIGHT - 6, "text-anchor": "middle", class: "chart-axis" }, hourLabel(p.time)));
+  });
+}
+
+function drawPrecip(svg, points, s) {
+  const barW = Math.max(2, s.step * 0.6);
+
+  points.forEach((p, i) => {
+    const h = s.precipH(p.precip);
+    if (h < 0.5) return;
+    svg.appendChild(el("rect", {
+      x: s.x(i) - barW / 2,
+      y: s.bottom - h,
+      width: barW,
+      height: h,
+      rx: 1.5,
+      fill: COLORS.precip
+    }));
+  });
+}
+
+// Chance of precip (0–100%) as a dotted line across the precip band
+function drawChance(svg, points, s) {
+  if (!points.some(p => p.chance != null)) return;
+
+  svg.appendChild(el("path", {
+    d: linePath(points, s.x, s.chanceY, "chance"),
+    fill: "none",
+    stroke: COLORS.chance,
+    "stroke-width": 1.5,
+    "stroke-dasharray": "2 3",
+    opacity: 0.8
+  }));
+}
+
+function drawLines(svg, points, s) {
+  const common = { fill: "none", "stroke-width": 2.2, "stroke-linejoin": "round", "stroke-linecap": "round" };
+  svg.appendChild(el("path", { ...common, d: linePath(points, s.x, s.y, "dew"), stroke: COLORS.dew }));
+  svg.appendChild(el("path", { ...common, d: linePath(points, s.x, s.y, "temp"), stroke: COLORS.temp }));
+}
+
+// Small downward triangles along the top edge, sized by gust
+function drawGusts(svg, points, s) {
+  points.forEach((p, i) => {
+    if (p.gust == null || p.gust < GUST_MARKER_MIN) return;
+
+    const size = Math.min(7, 3 + (p.gust - GUST_MARKER_MIN) / 6);
+    const x = s.x(i);
+    const y = PAD.top - 12;
+
+    svg.appendChild(el("path", {
+      d: `M${x - size},${y - size} L${x + size},${y - size} L${x},${y + size * 0.6} Z`,
+      fill: p.gust >= GUST_STRONG ? COLORS.gustStrong : COLORS.gust,
+      opacity: 0.85
+    }));
+  });
+}
+
+function drawNow(svg, points, s, now) {
+  const first = toInstant(points[0].time).getTime();
+  const last = toInstant(points.at(-1).time).getTime();
+  const t = now.getTime();
+  if (t < first || t > last || last === first) return;
+
+  const x = PAD.left + ((t - first) / (last - first)) * (WIDTH - PAD.left - PAD.right);
+
+  svg.appendChild(el("line", {
+    x1: x, x2: x, y1: PAD.top - 4, y2: s.bottom,
+    stroke: COLORS.now, "stroke-dasharray": "3 3", opacity: 0.6
+  }));
+  svg.appendChild(el("text", { x, y: s.bottom - 4, "text-anchor": "middle", class: "chart-now" }, "now"));
+}
+
+// ------------------------------------------------------------
+// READOUT (tap / hover)
+// ------------------------------------------------------------
+// `source` = canonical‑unit points, formatted for the readout
+function attachReadout(svg, readout, points, source, s) {
+  const cursor = el("line", { y1: PAD.top - 4, y2: s.bottom, stroke: COLORS.axis, visibility: "hidden" });
+  const dot = el("circle", { r: 4, fill: COLORS.temp, visibility: "hidden" });
+  svg.append(cursor, dot);
+
+  const show = (i) => {
+    const p = points[i];
+    const x = s.x(i);
+
+    cursor.setAttribute("x1", x);
+    cursor.setAttribute("x2", x);
+    cursor.setAttribute("visibility", "visible");
+
+    if (p.temp != null) {
+      dot.setAttribute("cx", x);
+      dot.setAttribute("cy", s.y(p.temp));
+      dot.setAttribute("visibility", "visible");
+    }
+
+    const src = source[i];
+    const parts = [formatHour(src.time)];
+    if (src.temp != null) parts.push(formatTemp(src.temp));
+    if (src.dew != null) parts.push(`dew ${formatTemp(src.dew)}`);
+    if (src.chance != null) parts.push(`${Math.round(src.chance)}% chance`);
+    if (src.precip >= 0.01) parts.push(`${formatPrecip(src.precip)} precip`);
+    else if (src.chance == null || src.chance < 20) parts.push("dry");
+    if (src.wind != null) parts.push(`${src.windDir ? src.windDir + " " : ""}${formatSpeed(src.wind)}`);
+    if (src.gust != null) parts.push(`gusts ${formatSpeed(src.gust)}`);
+
+    readout.textContent = parts.join(" · ");
+  };
+
+  const indexAt = (evt) => {
+    const box = svg.getBoundingClientRect();
+    const vx = ((evt.clientX - box.left) / box.width) * WIDTH;
+    const i = s.step ? Math.round((vx - PAD.left) / s.step) : 0;
+    return Math.max(0, Math.min(points.length - 1, i));
+  };
+
+  // pointerdown covers taps; pointermove covers mouse hover + drags
+  svg.addEventListener("pointermove", evt => show(indexAt(evt)));
+  svg.addEventListener("pointerdown", evt => show(indexAt(evt)));
+}
+
+// ------------------------------------------------------------
+// PUBLIC
+// ------------------------------------------------------------
+
+/**
+ * Draw the chart into `container`.
+ * `points` = [{ time, temp, dew, precip, chance, wind, windDir, gust }] (°F, in, %, mph).
+ * The "now" line only shows when `now` falls inside the window.
+ */
+export function renderHourlyChart(container, points, { now = new Date() } = {}) {
+  if (!container) return;
+  container.innerHTML = "";
+
+  const usable = (points || []).filter(p => p.temp != null || p.dew != null);
+  if (usable.length < 2) {
+    container.textContent = "Hourly chart unavailable.";
+    return;
+  }
+
+  // Plot in the user's units; precip + gusts keep their own scales
+  const source = points;
+  points = source.map(p => ({ ...p, temp: displayTemp(p.temp), dew: displayTemp(p.dew) }));
+
+  const s = buildScales(points);
+
+  const svg = el("svg", {
+    viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+    class: "hourly-chart",
+    role: "img",
+    "aria-label": "Hourly temperature, dewpoint, precipitation, chance of precipitation and gusts"
+  });
+
+  drawGrid(svg, points, s);
+  drawPrecip(svg, points, s);
+  drawChance(svg, points, s);
+  drawLines(svg, points, s);
+  drawGusts(svg, points, s);
+  drawNow(svg, points, s, now);
+
+  const readout = document.createElement("div");
+  readout.className = "chart-readout";
+  readout.textContent = "Tap or hover for hourly details.";
+
+  const legend = document.createElement("div");
+  legend.className = "chart-legend";
+  legend.innerHTML = `
+    <span style="color:${COLORS.temp}">━ Temp</span>
+    <span style="color:${COLORS.dew}">━ Dewpoint</span>
+    <span style="color:#8fb7ff">▮ Precip</span>
+    <span style="color:${COLORS.chance}">┈ Chance</span>
+    <span style="color:${COLORS.gust}">▼ Gusts</span>
+  `;
+
+  attachReadout(svg, readout, points, source, s);
+  container.append(svg, legend, readout);
+}
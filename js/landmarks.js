@@ -0,0 +1,190 @@
+// /js/landmarks.js
+// ============================================================
+// UP HIGH — spot outlooks for the Parkway landmarks
+//
+// Each landmark gets the same 12‑hour analysis as Today (run on its
+// own summit‑height forecast), plus the three things that usually
+// close the Parkway up there: ice and snow on the road, wind strong
+// enough to bring trees down, and dense fog with the summit in the
+// cloud. Temperatures are compared with the user's location.
+// ============================================================
+
+import { getTodayActionOutlook } from './forecast-intel.js';
+import { classifyPrecipTypes, iceLoad } from './precip-type.js';
+import { currentHourIndex, nextHoursWindow } from './forecast-time.js';
+import { formatSpeed, formatSnow, formatTempDelta } from './units.js';
+
+const WINDOW_HOURS = 12;
+
+// Wind (mph gusts): trees down / the road gets closed vs. worth a mention
+const GUST_CLOSURE = 55;
+const GUST_WATCH = 40;
+
+// Snow (in) that closes the road vs. leaves slick spots
+const SNOW_CLOSURE = 1;
+const SNOW_WATCH = 0.1;
+
+// Ice glaze (in, sleet counting half — see iceLoad)
+const ICE_CLOSURE = 0.01;
+
+// Summit "in the cloud": visibility (ft) or a saturated, low‑cloud hour
+const FOG_VIS_FT = 1320;          // ¼ mile
+const FOG_HOURS = 3;
+
+// Flags, worst first; `closure` is "likely" or "possible"
+export const LANDMARK_FLAGS = ["ice", "snow", "wind", "fog"];
+
+// Today's headlines are written for the valleys; these read right on a summit
+const SUMMIT_HEADLINES = {
+  fog: "Slow going in the summit fog.",
+  wind: "Hold on — it’s wild on the exposed ridges."
+};
+
+// ------------------------------------------------------------
+// HAZARDS
+// ------------------------------------------------------------
+function inCloud(hourly, i) {
+  const vis = hourly.visibility?.[i];
+  if (vis != null) return vis <= FOG_VIS_FT;
+
+  const temp = hourly.temperature_2m?.[i];
+  const dew = hourly.dewpoint_2m?.[i];
+  const low = hourly.cloudcover_low?.[i];
+  return temp != null && dew != null && low != null && temp - dew <= 1 && low >= 90;
+}
+
+/**
+ * Closure flags for one window of a spot forecast.
+ * Returns [{ type, closure, text }], worst first.
+ */
+export function assessParkwayHazards(hourly, indices) {
+  const flags = [];
+  const sum = key => indices.reduce((a, i) => a + (hourly[key]?.[i] ?? 0), 0);
+
+  const ptype = classifyPrecipTypes(hourly, indices);
+  const ice = iceLoad(ptype);
+  const snow = sum("snowfall");
+  const gusts = indices.map(i => hourly.windgusts_10m?.[i]).filter(v => v != null);
+  const gustMax = gusts.length ? Math.max(...gusts) : 0;
+
+  // 🧊 Ice, then snow, on the road
+  if (ice >= ICE_CLOSURE) {
+    flags.push({ type: "ice", closure: "likely", text: "Freezing rain — ice on the road" });
+  } else if (ptype.wintry || ptype.totals.mix > 0) {
+    flags.push({ type: "ice", closure: "possible", text: "Sleet or a mix — slick spots" });
+  }
+
+  if (snow >= SNOW_CLOSURE) {
+    flags.push({ type: "snow", closure: "likely", text: `${formatSnow(snow)} of snow` });
+  } else if (snow >= SNOW_WATCH) {
+    flags.push({ type: "snow", closure: "possible", text: "A dusting of snow" });
+  }
+
+  // 💨 Wind
+  if (gustMax >= GUST_CLOSURE) {
+    flags.push({ type: "wind", closure: "likely", text: `Gusts to ${formatSpeed(gustMax)} — trees down` });
+  } else if (gustMax >= GUST_WATCH) {
+    flags.push({ type: "wind", closure: "possible", text: `Gusts to ${formatSpeed(gustMax)}` });
+  }
+
+  // 🌫️ Summit in the cloud
+  const foggyHours = indices.filter(i => inCloud(hourly, i)).length;
+  if (foggyHours >= FOG_HOURS) {
+    flags.push({ type: "fog", closure: "possible", text: "Dense fog — summit in the cloud" });
+  }
+
+  return flags.sort((a, b) =>
+    (a.closure === b.closure ? 0 : a.closure === "likely" ? -1 : 1) ||
+    LANDMARK_FLAGS.indexOf(a.type) - LANDMARK_FLAGS.indexOf(b.type)
+  );
+}
+
+// ------------------------------------------------------------
+// ONE LANDMARK
+// ------------------------------------------------------------
+
+/**
+ * Spot outlook for one landmark, or null without a forecast.
+ *   { id, name, elevationFt, milepost, tempNow, high, low, gustMax,
+ *     emoji, headline, flags, closure, deltaToUser }
+ */
+export function buildLandmarkOutlook(landmark, hourly, { now = new Date(), userTemp = null } = {}) {
+  if (!hourly?.time?.length) return null;
+
+  const indices = nextHoursWindow(hourly, WINDOW_HOURS, now);
+  const temps = indices.map(i => hourly.temperature_2m?.[i]).filter(v => v != null);
+  if (!temps.length) return null;
+
+  // Same engine as Today, on the summit's own forecast
+  const outlook = getTodayActionOutlook(hourly, { now });
+  const flags = assessParkwayHazards(hourly, indices);
+
+  const tempNow = hourly.temperature_2m?.[currentHourIndex(hourly, now)] ?? temps[0];
+
+  return {
+    id: landmark.id,
+    name: landmark.name,
+    elevationFt: landmark.elevationFt,
+    milepost: landmark.milepost,
+    tempNow: Math.round(tempNow),
+    high: Math.round(Math.max(...temps)),
+    low: Math.round(Math.min(...temps)),
+    gustMax: Math.round(outlook.gustMax ?? 0),
+    emoji: outlook.emoji,
+    headline: SUMMIT_HEADLINES[outlook.dominant] ?? outlook.headline,
+    flags,
+    closure: flags.some(f => f.closure === "likely") ? "likely" : flags.length ? "possible" : null,
+    deltaToUser: userTemp != null ? Math.round(tempNow - userTemp) : null
+  };
+}
+
+// ------------------------------------------------------------
+// ALL OF THEM
+// ------------------------------------------------------------
+
+// "Mount Mitchell", "Mount Mitchell and Max Patch", "A, B and C"
+function listNames(names) {
+  if (names.length <= 1) return names[0] ?? "";
+  return `${names.slice(0, -1).join(", ")} and ${names.at(-1)}`;
+}
+
+/**
+ * One line over the list:
+ *   "Parkway closures likely near Mount Mitchell and Craggy Gardens."
+ *   "Up high runs 9–15° colder than you."
+ */
+export function describeUpHigh(spots) {
+  const closed = spots.filter(s => s.closure === "likely").map(s => s.name);
+  if (closed.length) return `Parkway closures likely near ${listNames(closed)}.`;
+
+  const watch = spots.filter(s => s.closure === "possible").map(s => s.name);
+  if (watch.length) return `Check Parkway conditions before heading to ${listNames(watch)}.`;
+
+  const deltas = spots.map(s => s.deltaToUser).filter(d => d != null);
+  if (!deltas.length) return "";
+
+  const lo = Math.min(...deltas);
+  const hi = Math.max(...deltas);
+  if (lo > -2) return "Up high is about as warm as it is where you are.";
+  if (hi > -2) return `Up high runs up to ${formatTempDelta(lo)} colder than you.`;
+
+  const range = formatTempDelta(hi) === formatTempDelta(lo)
+    ? formatTempDelta(hi)
+    : `${formatTempDelta(hi).replace("°", "")}–${formatTempDelta(lo)}`;
+  return `Up high runs ${range} colder than you.`;
+}
+
+/**
+ * { spots, summary } for the landmarks with a forecast, or null.
+ * `forecasts` lines up with `landmarks` (see getSpotForecasts).
+ */
+export function buildUpHigh(landmarks, forecasts, context = {}) {
+  if (!forecasts?.length) return null;
+
+  const spots = landmarks
+    .map((landmark, i) => buildLandmarkOutlook(landmark, forecasts[i], context))
+    .filter(Boolean);
+
+  if (!spots.length) return null;
+  return { spots, summary: describeUpHigh(spots) };
+}
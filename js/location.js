@@ -0,0 +1,229 @@
+// /js/location.js
+// ============================================================
+// LOCATION — geolocation, curated 828 places, saved favorites
+// ============================================================
+
+const SAVED_KEY = "828wx.savedPlaces";
+const LAST_KEY = "828wx.lastPlace";
+const MAX_SAVED = 12;
+
+// ------------------------------------------------------------
+// CURATED 828 PLACES
+// ------------------------------------------------------------
+export const CURATED_PLACES = [
+  { id: "downtown-asheville", name: "Downtown Asheville", lat: 35.5951, lon: -82.5515 },
+  { id: "west-asheville", name: "West Asheville", lat: 35.5787, lon: -82.5936 },
+  { id: "black-mountain", name: "Black Mountain", lat: 35.6179, lon: -82.3212 },
+  { id: "weaverville", name: "Weaverville", lat: 35.6973, lon: -82.5607 },
+  { id: "brevard", name: "Brevard", lat: 35.2334, lon: -82.7343 },
+  { id: "hendersonville", name: "Hendersonville", lat: 35.3187, lon: -82.4610 },
+  { id: "mars-hill", name: "Mars Hill", lat: 35.8265, lon: -82.5490 }
+];
+
+// ------------------------------------------------------------
+// PLACE HELPERS
+// ------------------------------------------------------------
+
+/**
+ * Build a place from free lat/lon entry. Returns null if invalid.
+ */
+export function makePlace(lat, lon, name, source = "manual") {
+  const la = Number(lat);
+  const lo = Number(lon);
+
+  if (!Number.isFinite(la) || !Number.isFinite(lo)) return null;
+  if (la < -90 || la > 90 || lo < -180 || lo > 180) return null;
+
+  const rLat = Math.round(la * 10000) / 10000;
+  const rLon = Math.round(lo * 10000) / 10000;
+
+  return {
+    id: `${rLat},${rLon}`,
+    name: name?.trim() || `${rLat.toFixed(3)}, ${rLon.toFixed(3)}`,
+    lat: rLat,
+    lon: rLon,
+    source
+  };
+}
+
+// ------------------------------------------------------------
+// STORAGE (localStorage can throw in private mode — never fatal)
+// ------------------------------------------------------------
+function readJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn("Could not save to localStorage:", err);
+  }
+}
+
+export function getSavedPlaces() {
+  const list = readJSON(SAVED_KEY, []);
+  return Array.isArray(list) ? list.filter(p => makePlace(p.lat, p.lon)) : [];
+}
+
+export function savePlace(place) {
+  const list = getSavedPlaces().filter(p => p.id !== place.id);
+  list.unshift({ id: place.id, name: place.name, lat: place.lat, lon: place.lon });
+  writeJSON(SAVED_KEY, list.slice(0, MAX_SAVED));
+}
+
+export function removeSavedPlace(id) {
+  writeJSON(SAVED_KEY, getSavedPlaces().filter(p => p.id !== id));
+}
+
+export function isSavedPlace(id) {
+  return getSavedPlaces().some(p => p.id === id);
+}
+
+export function getLastPlace() {
+  const p = readJSON(LAST_KEY, null);
+  return p && makePlace(p.lat, p.lon) ? p : null;
+}
+
+export function setLastPlace(place) {
+  writeJSON(LAST_KEY, place);
+}
+
+// ------------------------------------------------------------
+// GEOLOCATION (promise wrapper)
+// ------------------------------------------------------------
+export function getBrowserLocation(timeoutMs = 15000) {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error("Geolocation is not supported by this browser."));
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      pos => resolve(makePlace(pos.coords.latitude, pos.coords.longitude, "Your location", "gps")),
+      err => reject(err),
+      { timeout: timeoutMs, maximumAge: 5 * 60 * 1000 }
+    );
+  });
+}
+
+// ------------------------------------------------------------
+// PICKER UI
+// ------------------------------------------------------------
+
+/**
+ * Wire the location picker in index.html.
+ * `onSelect(place)` runs whenever the user picks a place or asks for GPS
+ * (GPS arrives as `{ source: "gps-request" }`). Returns { open, close, setCurrent }.
+ */
+export function initLocationPicker({ onSelect }) {
+  const toggle = document.getElementById("location-toggle");
+  const panel = document.getElementById("location-panel");
+  const nameEl = document.getElementById("location-name");
+  const placesEl = document.getElementById("location-places");
+  const savedEl = document.getElementById("location-saved");
+  const form = document.getElementById("location-form");
+  const saveBtn = document.getElementById("location-save");
+  const gpsBtn = document.getElementById("location-gps");
+  const msgEl = document.getElementById("location-message");
+
+  let current = null;
+
+  const open = (message = "") => {
+    panel.style.display = "block";
+    msgEl.textContent = message;
+    msgEl.style.display = message ? "block" : "none";
+  };
+
+  const close = () => {
+    panel.style.display = "none";
+  };
+
+  const choose = (place) => {
+    close();
+    onSelect(place);
+  };
+
+  function chip(place, { removable = false } = {}) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "location-chip" + (current?.id === place.id ? " active" : "");
+    btn.textContent = place.name;
+    btn.addEventListener("click", () => choose({ ...place, source: "picker" }));
+
+    if (!removable) return btn;
+
+    const wrap = document.createElement("span");
+    wrap.className = "location-chip-wrap";
+
+    const x = document.createElement("button");
+    x.type = "button";
+    x.className = "location-chip-remove";
+    x.setAttribute("aria-label", `Remove ${place.name}`);
+    x.textContent = "×";
+    x.addEventListener("click", () => {
+      removeSavedPlace(place.id);
+      renderLists();
+    });
+
+    wrap.append(btn, x);
+    return wrap;
+  }
+
+  function renderLists() {
+    placesEl.replaceChildren(...CURATED_PLACES.map(p => chip(p)));
+
+    const saved = getSavedPlaces();
+    savedEl.replaceChildren(
+      ...(saved.length
+        ? saved.map(p => chip(p, { removable: true }))
+        : [Object.assign(document.createElement("span"), { className: "location-empty", textContent: "No saved places yet." })])
+    );
+
+    saveBtn.disabled = !current || isSavedPlace(current.id);
+    saveBtn.textContent = current && isSavedPlace(current.id) ? "★ Saved" : "☆ Save current place";
+  }
+
+  toggle.addEventListener("click", () => {
+    if (panel.style.display === "block") close();
+    else open();
+  });
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const place = makePlace(form.elements.lat.value, form.elements.lon.value, form.elements.label.value);
+
+    if (!place) {
+      open("Enter a latitude between -90 and 90 and a longitude between -180 and 180.");
+      return;
+    }
+
+    form.reset();
+    choose(place);
+  });
+
+  saveBtn.addEventListener("click", () => {
+    if (!current) return;
+    savePlace(current);
+    renderLists();
+  });
+
+  gpsBtn.addEventListener("click", () => choose({ source: "gps-request" }));
+
+  renderLists();
+
+  return {
+    open,
+    close,
+    setCurrent(place) {
+      current = place;
+      nameEl.textContent = place.name;
+      renderLists();
+    }
+  };
+}
@@ -1,26 +1,40 @@
+import { localHour } from './forecast-time.js';
+import { formatTemp } from './units.js';
+import { AQI_SENSITIVE, AQI_UNHEALTHY } from './air-quality.js';
+import { activityAdvice } from './activity-profiles.js';
+
 // ------------------------------------------------------------
 // MICRO‑ADVICE ENGINE
 // ------------------------------------------------------------
 
-export function getMicroAdvice({ wu, today, comfort }) {
-  const temp = wu.temp;
+export function getMicroAdvice({
+  wu,
+  today,
+  comfort,
+  feelsLike = null,
+  feelsLikeKind = "air",
+  airQuality = null,
+  uv = null,
+  activity = "general"
+}) {
+  // What the body feels (heat index / wind chill) beats raw air temp
+  const temp = feelsLike ?? wu.temp;
   const dew = wu.dewPoint;
   const gust = wu.windGust ?? 0;
-  const dominant = today.badge.text.toLowerCase(); // "Rain Gear", "Wind Alert", etc.
 
-  // Normalize dominant driver
-  const driver = today.badge.text.toLowerCase().includes("rain") ? "rain" :
-                 today.badge.text.toLowerCase().includes("wind") ? "wind" :
-                 today.badge.text.toLowerCase().includes("heat") ? "heat" :
-                 today.badge.text.toLowerCase().includes("cold") ? "cold" :
-                 today.badge.text.toLowerCase().includes("snow") ? "snow" :
-                 today.badge.text.toLowerCase().includes("goldilocks") ? "goldilocks" :
-                 "easy";
+  // Dominant driver straight from the Today outlook ("alert", "fog",
+  // "rain", …) — badge text doesn't name every driver
+  const driver = today.dominant ?? "easy";
 
   // ------------------------------------------------------------
   // 1. Driver‑based micro advice
   // ------------------------------------------------------------
   const driverAdvice = {
+    alert: "Read the alert details above before heading out.",
+    air: "Limit strenuous outdoor activity — the air is unhealthy.",
+    storms: "When thunder roars, head indoors.",
+    fog: "Headlights on — leave extra room in the valley fog.",
+    ice: "Stay off untreated roads — bridges, steps and ramps glaze first.",
     rain: "Might want to grab your rain jacket.",
     wind: "Mess your hair up type of day.",
     snow: "Allow extra travel time.",
@@ -28,42 +42,86 @@ export function getMicroAdvice({ wu, today, comfort }) {
     cold: "Layer up — especially early.",
     goldilocks: "Perfect for a walk or windows down.",
     easy: "You're all good."
-  }[driver];
+  }[driver] ?? "You're all good.";
 
   // ------------------------------------------------------------
   // 2. Dewpoint nuance
   // ------------------------------------------------------------
+  // No dewpoint from the station → no line (null <= 40 is true)
   let dewAdvice = "";
-  if (dew >= 65) dewAdvice = "Expect some stickiness.";
-  else if (dew <= 40) dewAdvice = "Air will feel crisp and clean.";
+  if (dew != null && dew >= 65) dewAdvice = "Expect some stickiness.";
+  else if (dew != null && dew <= 40 && driver !== "fog" && driver !== "ice") dewAdvice = "Air will feel crisp and clean.";
 
   // ------------------------------------------------------------
   // 3. Wind + temperature combo
   // ------------------------------------------------------------
+  // Only trust the gap for the formula that made it: in hot, dry air
+  // the heat index reads *below* the air temperature
   let windTempAdvice = "";
-  if (gust >= 30 && temp <= 45) windTempAdvice = "Wind chill factor in effect. Bundle up.";
+  if (feelsLikeKind === "wind-chill" && feelsLike != null && wu.temp != null && wu.temp - feelsLike >= 5) {
+    windTempAdvice = `Wind chill makes it feel like ${formatTemp(feelsLike)}. Bundle up.`;
+  }
+  else if (feelsLikeKind === "heat-index" && feelsLike != null && wu.temp != null && feelsLike - wu.temp >= 5) {
+    windTempAdvice = `Humidity makes it feel like ${formatTemp(feelsLike)} — pace yourself.`;
+  }
+  else if (gust >= 30 && temp <= 45) windTempAdvice = "Wind chill factor in effect. Bundle up.";
   else if (gust >= 30 && temp >= 80) windTempAdvice = "Hot but at least there's a breeze!";
   else if (gust >= 25 && temp >= 55 && temp <= 75) windTempAdvice = "Warm and breezy — great for being outside.";
 
+  // ------------------------------------------------------------
+  // 3b. Air quality (the driver already covers unhealthy air)
+  // ------------------------------------------------------------
+  let airAdvice = "";
+  const aqi = airQuality?.aqi ?? null;
+  if (driver !== "air" && aqi != null && aqi >= AQI_UNHEALTHY) {
+    airAdvice = "Air is unhealthy right now — limit strenuous outdoor activity.";
+  }
+  else if (driver !== "air" && aqi != null && aqi >= AQI_SENSITIVE) {
+    airAdvice = "Sensitive groups should take it easy outdoors.";
+  }
+
+  // ------------------------------------------------------------
+  // 3c. Activity profile (hike / ride / run / dog walk) — may stand
+  //     in for the generic dew, wind‑temp or air line
+  // ------------------------------------------------------------
+  const profile = activityAdvice(activity, {
+    temp: wu.temp,
+    feelsLike: temp,
+    dew,
+    gustMax: Math.max(gust, today.gustMax ?? 0),
+    uv,
+    aqi,
+    storms: today.storms ?? null,
+    driver
+  });
+  const covered = new Set(profile?.replaces ?? []);
+
   // ------------------------------------------------------------
   // 4. Time‑of‑day layering logic
   // ------------------------------------------------------------
-  const hour = new Date().getHours();
+  const hour = localHour();
   let timeAdvice = "";
 
-  if (hour < 11 && wu.temp < 55 && today.headline.toLowerCase().includes("warm")) {
+  if (hour < 11 && temp < 55 && today.headline.toLowerCase().includes("warm")) {
     timeAdvice = "Cool start, warmer later — dress in layers.";
   }
 
-  if (hour >= 14 && wu.temp > 70 && comfort.text.toLowerCase().includes("cool")) {
+  if (hour >= 14 && temp > 70 && (comfort.summary || "").toLowerCase().includes("cool")) {
     timeAdvice = "Warm now, but it cools off tonight — have a hoodie handy.";
   }
 
   // ------------------------------------------------------------
   // Combine all advice into one clean line
   // ------------------------------------------------------------
-  const pieces = [driverAdvice, dewAdvice, windTempAdvice, timeAdvice]
-    .filter(Boolean);
+  // "You're all good" reads wrong next to a profile warning
+  const pieces = [
+    driver === "easy" && profile ? "" : driverAdvice,
+    profile?.text,
+    covered.has("air") ? "" : airAdvice,
+    covered.has("dew") ? "" : dewAdvice,
+    covered.has("windTemp") ? "" : windTempAdvice,
+    timeAdvice
+  ].filter(Boolean);
 
   return pieces.length ? pieces.join(" ") : driverAdvice;
 }
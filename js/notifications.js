@@ -0,0 +1,379 @@
+// /js/notifications.js
+// ============================================================
+// NOTIFICATIONS — opt‑in "rain starting soon" and strong‑gust alerts
+//
+// Checked on every refresh while the app is open (including a
+// background tab): MRMS says whether it's already raining here,
+// Open‑Meteo's 15‑minute nowcast says when it starts, and the hourly
+// forecast covers the rest of today's gusts. Notifications go out
+// through the service worker so they work like any other site's.
+// ============================================================
+
+import {
+  hourlyInstants,
+  remainingDayWindow,
+  currentHourIndex,
+  zonedParts,
+  dayKey,
+  daypartOf,
+  localHour,
+  formatHour
+} from './forecast-time.js';
+import { formatPrecip, formatSpeed } from './units.js';
+
+const SETTINGS_KEY = "828wx.notify";
+const SENT_KEY = "828wx.notifySent";
+
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  types: { rain: true, wind: true },
+  quiet: { from: "22:00", to: "07:00" }   // equal times = no quiet hours
+};
+
+// A 15‑minute step this wet (in) counts as rain. Each step's value is
+// the total for the 15 minutes *before* its timestamp.
+const WET_STEP = 0.01;
+const STEP_MS = 15 * 60 * 1000;
+
+// Warn when the first wet step is at most this far off
+const RAIN_LEAD_MIN = 60;
+
+// Dry this long since the last alert or wet reading = a new rain event
+const RAIN_EVENT_GAP_MS = 90 * 60 * 1000;
+
+const WIND_GUST = 40;   // mph
+
+// Labels are functions so they follow the °F/°C (mph/km/h) setting
+export const NOTIFY_TYPES = [
+  { key: "rain", label: () => "Rain or snow starting soon" },
+  { key: "wind", label: () => `Gusts over ${formatSpeed(WIND_GUST)}` }
+];
+
+// Sent‑log entries older than this are dropped
+const SENT_TTL_MS = 36 * 60 * 60 * 1000;
+
+// ------------------------------------------------------------
+// SETTINGS (localStorage can throw in private mode — never fatal)
+// ------------------------------------------------------------
+function readJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn("Could not save to localStorage:", err);
+  }
+}
+
+export function getNotifySettings() {
+  const saved = readJSON(SETTINGS_KEY, {});
+  return {
+    ...DEFAULT_SETTINGS,
+    ...saved,
+    types: { ...DEFAULT_SETTINGS.types, ...saved.types },
+    quiet: { ...DEFAULT_SETTINGS.quiet, ...saved.quiet }
+  };
+}
+
+export function setNotifySettings(patch) {
+  const next = { ...getNotifySettings(), ...patch };
+  writeJSON(SETTINGS_KEY, next);
+  return next;
+}
+
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window && "serviceWorker" in navigator;
+}
+
+function canNotify() {
+  return notificationsSupported() && Notification.permission === "granted";
+}
+
+// ------------------------------------------------------------
+// QUIET HOURS (Eastern wall clock, may wrap past midnight)
+// ------------------------------------------------------------
+function minutesOf(hhmm) {
+  const [h, m = 0] = String(hhmm).split(":").map(Number);
+  return h * 60 + m;
+}
+
+export function inQuietHours(quiet, now = new Date()) {
+  if (!quiet?.from || !quiet?.to) return false;
+
+  const from = minutesOf(quiet.from);
+  const to = minutesOf(quiet.to);
+  if (from === to) return false;
+
+  const p = zonedParts(now);
+  const mins = p.hour * 60 + p.minute;
+  return from < to ? mins >= from && mins < to : mins >= from || mins < to;
+}
+
+// ------------------------------------------------------------
+// DETECTION
+// ------------------------------------------------------------
+
+// ~20 minutes, rounded to 5 and never "~0"
+function roundMinutes(ms) {
+  return Math.max(5, Math.round(ms / 60000 / 5) * 5);
+}
+
+function detectRainSoon(nowcast, now) {
+  if (!nowcast?.time?.length) return null;
+
+  const steps = hourlyInstants(nowcast);
+  const horizon = now.getTime() + RAIN_LEAD_MIN * 60000;
+
+  for (let i = 0; i < steps.length; i++) {
+    const end = steps[i].getTime();
+    const start = end - STEP_MS;
+    if (end <= now.getTime()) continue;   // already over
+    if (start > horizon) break;
+
+    if ((nowcast.precipitation?.[i] ?? 0) < WET_STEP) continue;
+
+    // Liquid over the hour from the first wet step
+    const hour = steps
+      .map((t, j) => (t.getTime() > start && t.getTime() <= start + 3600000 ? j : -1))
+      .filter(j => j !== -1);
+    const total = hour.reduce((a, j) => a + (nowcast.precipitation?.[j] ?? 0), 0);
+    const snowy = hour.some(j => (nowcast.snowfall?.[j] ?? 0) > 0);
+
+    const kind = snowy ? "Snow" : "Rain";
+    const title = start <= now.getTime()
+      ? `${kind} starting any minute`
+      : `${kind} starting in ~${roundMinutes(start - now.getTime())} minutes`;
+
+    return {
+      type: "rain",
+      key: `rain:${nowcast.time[i]}`,
+      title,
+      body: `About ${formatPrecip(total)} in the first hour.`
+    };
+  }
+  return null;
+}
+
+// "this morning" / "this afternoon" / "this evening" / "tonight"
+function whenToday(hour) {
+  const part = daypartOf(hour);
+  if (part.endsWith("morning")) return "this morning";
+  if (part.endsWith("afternoon")) return "this afternoon";
+  if (part === "evening") return "this evening";
+  return "tonight";
+}
+
+function detectStrongGusts(hourly, now) {
+  if (!hourly?.windgusts_10m) return null;
+
+  const indices = remainingDayWindow(hourly, now);
+  const windy = indices.filter(i => (hourly.windgusts_10m[i] ?? 0) >= WIND_GUST);
+  if (!windy.length) return null;
+
+  const peak = windy.reduce((a, b) => (hourly.windgusts_10m[b] > hourly.windgusts_10m[a] ? b : a));
+  const first = windy[0];
+  const when = first === currentHourIndex(hourly, now) ? "right now" : whenToday(localHour(hourly.time[first]));
+
+  return {
+    type: "wind",
+    key: `wind:${dayKey(now)}`,
+    title: `Gusts over ${formatSpeed(WIND_GUST)} ${when}`,
+    body: `Peaking near ${formatSpeed(hourly.windgusts_10m[peak])} around ${formatHour(hourly.time[peak])}. Secure loose outdoor items.`
+  };
+}
+
+/**
+ * What's worth a notification right now.
+ * Returns { events: [{ type, key, title, body }], wetNow } — `wetNow`
+ * means rain is already falling, so any "starting soon" is moot.
+ */
+export function detectNotifications({ nowcast = null, mrmsPixel = null, hourly = null }, now = new Date()) {
+  // The step whose 15 minutes contain `now`
+  const steps = nowcast?.time?.length ? hourlyInstants(nowcast) : [];
+  const current = steps.findIndex(t => t > now && t.getTime() - STEP_MS <= now.getTime());
+  const wetNow =
+    (mrmsPixel?.rate ?? 0) > 0 ||
+    (current !== -1 && (nowcast.precipitation?.[current] ?? 0) >= WET_STEP);
+
+  const events = [
+    wetNow ? null : detectRainSoon(nowcast, now),
+    detectStrongGusts(hourly, now)
+  ].filter(Boolean);
+
+  return { events, wetNow };
+}
+
+// ------------------------------------------------------------
+// DE‑DUPLICATION
+// The sent log holds one timestamp per event key, plus the last time
+// rain was alerted or seen falling: a rain alert only goes out once it
+// has been dry for RAIN_EVENT_GAP_MS, however the onset time wobbles
+// between model runs.
+// ------------------------------------------------------------
+function loadSent(now) {
+  const sent = readJSON(SENT_KEY, {});
+  const cutoff = now.getTime() - SENT_TTL_MS;
+  return Object.fromEntries(Object.entries(sent).filter(([, at]) => at >= cutoff));
+}
+
+function alreadySent(sent, event, now) {
+  if (sent[event.key]) return true;
+  if (event.type === "rain") {
+    return now.getTime() - (sent.rainActive ?? 0) < RAIN_EVENT_GAP_MS;
+  }
+  return false;
+}
+
+// ------------------------------------------------------------
+// SENDING
+// ------------------------------------------------------------
+async function show({ type, title, body }) {
+  const options = {
+    body,
+    tag: `828wx-${type}`,          // a newer alert of a type replaces the older one
+    icon: "/828-weather-update-profile.png"
+  };
+
+  const reg = await navigator.serviceWorker.getRegistration();
+  if (reg) await reg.showNotification(title, options);
+  else new Notification(title, options);
+}
+
+/**
+ * Run detection on the latest inputs and send whatever is new,
+ * enabled and outside quiet hours. Returns the events sent.
+ */
+export async function checkNotifications(inputs, now = new Date()) {
+  const settings = getNotifySettings();
+  if (!settings.enabled || !canNotify() || !inputs) return [];
+
+  const { events, wetNow } = detectNotifications(inputs, now);
+  const sent = loadSent(now);
+  if (wetNow) sent.rainActive = now.getTime();
+
+  // Held back during quiet hours, not marked sent: if it's still
+  // ahead when they end, it goes out then
+  const quiet = inQuietHours(settings.quiet, now);
+  const fired = [];
+
+  for (const event of events) {
+    if (!settings.types[event.type] || quiet || alreadySent(sent, event, now)) continue;
+
+    try {
+      await show(event);
+    } catch (err) {
+      console.warn("Notification failed:", err);
+      continue;
+    }
+
+    sent[event.key] = now.getTime();
+    if (event.type === "rain") sent.rainActive = now.getTime();
+    fired.push(event);
+  }
+
+  writeJSON(SENT_KEY, sent);
+  return fired;
+}
+
+// ------------------------------------------------------------
+// SETTINGS PANEL
+// ------------------------------------------------------------
+
+/**
+ * Wire the 🔔 panel in index.html (hidden where the browser can't notify).
+ */
+export function initNotificationSettings() {
+  const toggle = document.getElementById("notify-toggle");
+  const panel = document.getElementById("notify-panel");
+  const enableBtn = document.getElementById("notify-enable");
+  const typesEl = document.getElementById("notify-types");
+  const fromEl = document.getElementById("notify-quiet-from");
+  const toEl = document.getElementById("notify-quiet-to");
+  const msgEl = document.getElementById("notify-message");
+  if (!toggle || !panel) return;
+
+  if (!notificationsSupported()) {
+    toggle.style.display = "none";
+    return;
+  }
+
+  const message = (text = "") => {
+    msgEl.textContent = text;
+    msgEl.style.display = text ? "block" : "none";
+  };
+
+  function render() {
+    const settings = getNotifySettings();
+    const on = settings.enabled && Notification.permission === "granted";
+
+    toggle.textContent = on ? "🔔" : "🔕";
+    enableBtn.textContent = on ? "Turn alerts off" : "Turn alerts on";
+
+    typesEl.replaceChildren(...NOTIFY_TYPES.map(({ key, label }) => {
+      const row = document.createElement("label");
+      row.className = "notify-type";
+
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.checked = settings.types[key];
+      box.disabled = !on;
+      box.addEventListener("change", () => {
+        setNotifySettings({ types: { ...getNotifySettings().types, [key]: box.checked } });
+      });
+
+      row.append(box, ` ${label()}`);
+      return row;
+    }));
+
+    fromEl.value = settings.quiet.from;
+    toEl.value = settings.quiet.to;
+    fromEl.disabled = toEl.disabled = !on;
+  }
+
+  toggle.addEventListener("click", () => {
+    const opening = panel.style.display !== "block";
+    panel.style.display = opening ? "block" : "none";
+    message();
+    if (opening) render();   // units may have changed since the last render
+  });
+
+  enableBtn.addEventListener("click", async () => {
+    const settings = getNotifySettings();
+
+    if (settings.enabled && Notification.permission === "granted") {
+      setNotifySettings({ enabled: false });
+      message();
+      render();
+      return;
+    }
+
+    const permission = Notification.permission === "granted"
+      ? "granted"
+      : await Notification.requestPermission();
+
+    if (permission !== "granted") {
+      message("Notifications are blocked for this site — allow them in your browser settings first.");
+      return;
+    }
+
+    setNotifySettings({ enabled: true });
+    message("Alerts are on while 828 Weather is open, even in a background tab.");
+    render();
+  });
+
+  const saveQuiet = () => {
+    setNotifySettings({ quiet: { from: fromEl.value, to: toEl.value } });
+  };
+  fromEl.addEventListener("change", saveQuiet);
+  toEl.addEventListener("change", saveQuiet);
+
+  render();
+}
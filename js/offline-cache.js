@@ -0,0 +1,80 @@
+// /js/offline-cache.js
+// ============================================================
+// OFFLINE SNAPSHOT — last successful raw inputs + intel object
+// ============================================================
+
+const SNAPSHOT_KEY = "828wx.lastSnapshot";
+
+// Older than this, a snapshot is more misleading than helpful
+const MAX_SNAPSHOT_AGE_MS = 24 * 60 * 60 * 1000;
+
+// GPS fixes wander by more than the 4‑decimal place id; closer than
+// this counts as the same spot
+const GPS_MATCH_KM = 1;
+
+function distanceKm(a, b) {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLon = (b.lon - a.lon) * rad;
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+function samePlace(saved, place) {
+  if (!saved) return false;
+  if (saved.id === place.id) return true;
+
+  const gps = saved.source === "gps" || place.source === "gps";
+  return gps && Number.isFinite(saved.lat) && distanceKm(saved, place) <= GPS_MATCH_KM;
+}
+
+/**
+ * Store the inputs + intel from a successful load.
+ */
+export function saveSnapshot({ place, inputs, intel }) {
+  try {
+    localStorage.setItem(
+      SNAPSHOT_KEY,
+      JSON.stringify({ savedAt: Date.now(), place, inputs, intel })
+    );
+  } catch (err) {
+    // Quota or private mode — offline fallback just won't be available
+    console.warn("Could not save offline snapshot:", err);
+  }
+}
+
+/**
+ * Load the snapshot for a place (matched by id, or by distance for
+ * GPS fixes), or null.
+ */
+export function loadSnapshot(place) {
+  let snap = null;
+
+  try {
+    snap = JSON.parse(localStorage.getItem(SNAPSHOT_KEY) || "null");
+  } catch {
+    return null;
+  }
+
+  if (!snap?.intel || !snap.savedAt) return null;
+  if (place && !samePlace(snap.place, place)) return null;
+
+  const ageMs = Date.now() - snap.savedAt;
+  if (ageMs > MAX_SNAPSHOT_AGE_MS) return null;
+
+  return { ...snap, ageMs };
+}
+
+/**
+ * "just now", "12 min ago", "3 hr ago"
+ */
+export function describeAge(ageMs) {
+  const min = Math.round(ageMs / 60000);
+  if (min < 2) return "just now";
+  if (min < 60) return `${min} min ago`;
+
+  const hr = Math.round(min / 60);
+  return `${hr} hr ago`;
+}
@@ -0,0 +1,154 @@
+// /js/precip-chance.js
+// ============================================================
+// PRECIP CHANCE — probability + amount → one honest phrase
+// ("60% chance of a few light showers after 2 PM")
+//
+// Open‑Meteo's `precipitation_probability` is the share of
+// ensemble members with ≥ 0.1 mm in the hour; `precipitation`
+// is the deterministic amount. Neither alone says enough.
+// ============================================================
+
+import { localHour, formatHour } from './forecast-time.js';
+
+// An hour counts as "in play" at or above this chance …
+const CHANCE_IN_PLAY = 30;   // %
+
+// … or, without probability data, at or above this amount
+const AMOUNT_IN_PLAY = 0.02; // in/hr
+
+// Below both of these the window is called dry
+const DRY_CHANCE = 20;       // %
+const DRY_TOTAL = 0.02;      // in
+
+// ------------------------------------------------------------
+// AMOUNT WORDING (shared with describePrecip in forecast-intel.js)
+// ------------------------------------------------------------
+export function describeRainAmount(total) {
+  if (total < 0.02) return "mainly dry conditions";
+  if (total < 0.10) return "a few light showers";
+  if (total < 0.25) return "on-and-off showers";
+  if (total < 0.75) return "a soaking rain at times";
+  return "periods of heavy rain";
+}
+
+export function describeSnowAmount(snowTotal) {
+  if (snowTotal >= 1.0) return "accumulating snow";
+  if (snowTotal >= 0.5) return "light accumulating snow";
+  if (snowTotal >= 0.2) return "a few flurries";
+  return "a stray flake or two";
+}
+
+// ------------------------------------------------------------
+// SUMMARY
+// ------------------------------------------------------------
+
+/**
+ * Chance + amount over a window of hourly indices.
+ * Returns { maxChance, total, start, end, first, last, hasChance, dry }:
+ * start/end are the first/last in‑play hourly indices (or null),
+ * first/last bound the window itself.
+ * `maxChance` is null when the forecast carries no probabilities.
+ */
+export function summarizePrecipChance(hourly, indices) {
+  const chances = hourly.precipitation_probability;
+  const hasChance = Array.isArray(chances) && indices.some(i => chances[i] != null);
+
+  const total = indices.reduce((sum, i) => sum + (hourly.precipitation?.[i] ?? 0), 0);
+  const maxChance = hasChance ? Math.max(...indices.map(i => chances[i] ?? 0)) : null;
+
+  const inPlay = indices.filter(i =>
+    hasChance
+      ? (chances[i] ?? 0) >= CHANCE_IN_PLAY
+      : (hourly.precipitation?.[i] ?? 0) > AMOUNT_IN_PLAY
+  );
+
+  const dry = hasChance
+    ? maxChance < DRY_CHANCE && total < DRY_TOTAL
+    : inPlay.length === 0;
+
+  return {
+    maxChance,
+    total,
+    start: inPlay[0] ?? null,
+    end: inPlay.at(-1) ?? null,
+    first: indices[0] ?? null,
+    last: indices.at(-1) ?? null,
+    hasChance,
+    dry
+  };
+}
+
+// ------------------------------------------------------------
+// PHRASES
+// ------------------------------------------------------------
+
+// "after 2 PM" / "until 11 AM" / "2–6 PM" / "" (the whole window)
+function timingPhrase(summary, hourly) {
+  const { start, end, first, last } = summary;
+  if (start == null) return "";
+
+  const from = formatHour(hourly.time[start]);
+  const to = formatHour(hourly.time[end]);
+
+  if (start === first && end === last) return "";
+  if (start === first) return `until ${to}`;
+  if (end === last) return `after ${from}`;
+  if (start === end) return `around ${from}`;
+
+  // "2–6 PM" rather than "2 PM–6 PM" when the half of day matches
+  const sameHalf = (localHour(hourly.time[start]) >= 12) === (localHour(hourly.time[end]) >= 12);
+  return sameHalf ? `${from.split(" ")[0]}–${to}` : `${from}–${to}`;
+}
+
+// Round to the nearest 10 the way forecasters quote it
+function roundChance(chance) {
+  return Math.max(10, Math.round(chance / 10) * 10);
+}
+
+/**
+ * "60% chance of a few light showers", or null without probabilities.
+ * `amount` replaces the rain wording (e.g. "freezing rain with an icy glaze").
+ */
+export function chanceLead(summary, amount = null) {
+  if (!summary?.hasChance || summary.dry) return null;
+
+  // High chance but barely measurable — sprinkles, not showers
+  amount ??= summary.total < DRY_TOTAL ? "a passing sprinkle" : describeRainAmount(summary.total);
+  return `${roundChance(summary.maxChance)}% chance of ${amount}`;
+}
+
+/**
+ * Sentence for a window, weighing chance and amount together.
+ *   "60% chance of a few light showers after 2 PM."
+ *   "Rain likely 2–6 PM (80%) — a soaking rain at times."
+ *   "Dry all day."
+ * `dryText` replaces the dry sentence (e.g. "Staying dry.").
+ * `type` = { lead, amount } words the window for ice, sleet, a mix or snow
+ * ("Ice likely 4–9 AM (90%) — freezing rain with an icy glaze.").
+ */
+export function describePrecipChance(summary, hourly, { dryText = "Dry all day.", type = null } = {}) {
+  if (!summary || summary.dry) return dryText;
+
+  const when = timingPhrase(summary, hourly);
+  const join = (...parts) => parts.filter(Boolean).join(" ");
+
+  // Older cached forecasts: amounts only
+  if (!summary.hasChance) return `${join(type ? `${type.lead} possible` : "Showers possible", when)}.`;
+
+  const chance = roundChance(summary.maxChance);
+  if (chance >= 70 && summary.total >= 0.10) {
+    const lead = type ? `${type.lead} likely` : "Rain likely";
+    return `${join(lead, when)} (${chance}%) — ${type?.amount ?? describeRainAmount(summary.total)}.`;
+  }
+
+  return `${join(chanceLead(summary, type?.amount), when)}.`;
+}
+
+/**
+ * True when rain is worth a bullet: a real chance, or a real amount.
+ */
+export function precipWorthMentioning(summary) {
+  if (!summary || summary.dry) return false;
+  if (!summary.hasChance) return summary.total > 0.05;
+  return summary.maxChance >= 40 || (summary.maxChance >= CHANCE_IN_PLAY && summary.total > 0.05);
+}
@@ -0,0 +1,214 @@
+// /js/precip-type.js
+// ============================================================
+// PRECIP TYPE — rain, snow, mix, sleet, freezing rain per hour
+//
+// Top‑down, the way a forecaster reads a sounding:
+//   • a warm nose aloft (850 or 925 hPa above freezing) melts snow;
+//   • a deep cold layer under it refreezes the drops into sleet;
+//   • a shallow one lets them land as supercooled rain that
+//     freezes on contact (freezing rain);
+//   • with no warm nose, the surface wet‑bulb decides snow vs. rain.
+// Wet‑bulb rather than air temp, because falling precip cools
+// the air toward it.
+// ============================================================
+
+import { wetBulbF } from './weather-utils.js';
+import { formatHour } from './forecast-time.js';
+import { formatPrecip } from './units.js';
+
+export const PRECIP_TYPES = ["rain", "mix", "snow", "sleet", "freezing-rain"];
+
+// Less than this liquid per hour isn't worth classifying
+const MIN_LIQUID = 0.005;   // in
+
+// Surface wet‑bulb cut‑offs with no warm nose (°F)
+const SNOW_WET_BULB = 33.5;
+const MIX_WET_BULB = 35.5;
+
+// Warm nose strong enough to melt snow completely (°F aloft)
+const FULL_MELT = 35;
+
+// A 925 hPa layer this cold under a warm nose refreezes drops to sleet
+const REFREEZE_925 = 28;
+
+// Ice glaze worth a driver / damaging glaze (in of freezing rain)
+const ICE_MINOR = 0.01;
+const ICE_DAMAGING = 0.25;
+
+// ------------------------------------------------------------
+// ONE HOUR
+// ------------------------------------------------------------
+
+/**
+ * Precip type for one hour, or null when it's dry.
+ */
+export function classifyHour(hourly, i) {
+  const liquid = hourly.precipitation?.[i] ?? 0;
+  const snow = hourly.snowfall?.[i] ?? 0;
+  if (liquid < MIN_LIQUID && snow <= 0) return null;
+
+  const temp = hourly.temperature_2m?.[i];
+  const dew = hourly.dewpoint_2m?.[i];
+  if (temp == null) return "rain";
+
+  const wetBulb = dew != null ? wetBulbF(temp, dew) : temp;
+  const t850 = hourly.temperature_850hPa?.[i] ?? null;
+  const t925 = hourly.temperature_925hPa?.[i] ?? null;
+
+  // Without upper levels, fall back to the model's own snow/rain split
+  if (t850 == null && t925 == null) {
+    if (snow > 0) return wetBulb > MIX_WET_BULB ? "mix" : "snow";
+    return temp <= 32 ? "freezing-rain" : "rain";
+  }
+
+  const warmNose = Math.max(t850 ?? -Infinity, t925 ?? -Infinity);
+
+  // No melting layer — the surface decides
+  if (warmNose <= 32) {
+    if (wetBulb <= SNOW_WET_BULB) return "snow";
+    if (wetBulb <= MIX_WET_BULB) return "mix";
+    return "rain";
+  }
+
+  // Melting aloft but above freezing at the ground
+  if (wetBulb > 32) {
+    return warmNose < FULL_MELT && wetBulb <= 34 ? "mix" : "rain";
+  }
+
+  // Sub‑freezing surface under a warm nose: partial melt refreezes as
+  // sleet; full melt over a deep cold layer too, else freezing rain
+  if (warmNose < FULL_MELT) return "sleet";
+  if (t925 != null && t850 != null && t850 > 32 && t925 <= REFREEZE_925) return "sleet";
+  return "freezing-rain";
+}
+
+// ------------------------------------------------------------
+// WINDOW SUMMARY
+// ------------------------------------------------------------
+
+/**
+ * Classify every wet hour in a window of hourly indices.
+ * Returns {
+ *   hours: [{ index, time, type, liquid }],
+ *   totals: { rain, mix, snow, sleet, "freezing-rain" } (liquid in),
+ *   iceAccretion (freezing‑rain liquid, in), sleetTotal (liquid, in),
+ *   wintry (any sleet or freezing rain), dominant (most liquid) | null
+ * }
+ */
+export function classifyPrecipTypes(hourly, indices) {
+  const totals = Object.fromEntries(PRECIP_TYPES.map(t => [t, 0]));
+  const hours = [];
+
+  for (const i of indices) {
+    const type = classifyHour(hourly, i);
+    if (!type) continue;
+
+    const liquid = hourly.precipitation?.[i] ?? 0;
+    totals[type] += liquid;
+    hours.push({ index: i, time: hourly.time[i], type, liquid });
+  }
+
+  const dominant = hours.length
+    ? PRECIP_TYPES.reduce((a, b) => (totals[b] > totals[a] ? b : a))
+    : null;
+
+  return {
+    hours,
+    totals,
+    iceAccretion: totals["freezing-rain"],
+    sleetTotal: totals.sleet,
+    wintry: totals["freezing-rain"] > 0 || totals.sleet > 0,
+    dominant
+  };
+}
+
+// ------------------------------------------------------------
+// PHRASES
+// ------------------------------------------------------------
+
+// First → last hour of a type: "4–9 AM" / "around 6 AM"
+function span(summary, type) {
+  const hrs = summary.hours.filter(h => h.type === type);
+  if (!hrs.length) return "";
+
+  const from = formatHour(hrs[0].time);
+  const to = formatHour(hrs.at(-1).time);
+  if (from === to) return `around ${from}`;
+
+  const sameHalf = from.slice(-2) === to.slice(-2);
+  return sameHalf ? `${from.split(" ")[0]}–${to}` : `${from}–${to}`;
+}
+
+/**
+ * Main‑sentence phrase when ice or a mix is in play, else null
+ * (plain rain and snow keep describePrecip's wording).
+ */
+export function describePrecipTypes(summary) {
+  if (!summary?.hours.length) return null;
+
+  const ice = summary.iceAccretion;
+  const sleet = summary.sleetTotal;
+
+  if (ice >= ICE_DAMAGING) return "a damaging glaze of freezing rain";
+  if (ice >= ICE_MINOR && sleet > 0) return "sleet and freezing rain";
+  if (ice >= ICE_MINOR) return "freezing rain with an icy glaze";
+  if (sleet > 0) return "sleet mixing in at times";
+  if (summary.totals.mix > 0 && summary.dominant === "mix") return "a cold rain and snow mix";
+  return null;
+}
+
+/**
+ * What falls, for a "… likely" lead — the same order as
+ * describePrecipTypes, plus snow — or null for plain rain.
+ */
+export function precipTypeLead(summary) {
+  if (!summary?.hours.length) return null;
+
+  if (summary.iceAccretion >= ICE_MINOR) return "Ice";
+  if (summary.sleetTotal > 0 || (summary.totals.mix > 0 && summary.dominant === "mix")) return "Wintry mix";
+  if (summary.dominant === "snow") return "Snow";
+  return null;
+}
+
+/**
+ * Timed bullet for the wintry types, or null.
+ * Freezing rain gets very different advice than snow.
+ */
+export function precipTypeBullet(summary) {
+  if (!summary?.hours.length) return null;
+
+  const ice = summary.iceAccretion;
+
+  if (ice >= ICE_DAMAGING) {
+    return `🧊 Freezing rain ${span(summary, "freezing-rain")} — up to ${formatPrecip(ice)} of ice. Expect downed limbs and power outages; stay off the roads.`;
+  }
+  if (ice >= ICE_MINOR) {
+    return `🧊 Freezing rain ${span(summary, "freezing-rain")} — a glaze on roads, steps and cars. Untreated surfaces turn to ice fast.`;
+  }
+  if (summary.sleetTotal > 0) {
+    return `Sleet ${span(summary, "sleet")} — slick spots on bridges, ramps and shaded curves.`;
+  }
+  if (summary.totals.mix > 0) {
+    return `Rain and snow mixing ${span(summary, "mix")}, mainly in the colder hollows.`;
+  }
+  return null;
+}
+
+/**
+ * Liquid inches of ice for the "ice" driver. Sleet counts half —
+ * it piles up and bounces rather than glazing everything.
+ */
+export function iceLoad(summary) {
+  if (!summary) return 0;
+  return summary.iceAccretion + summary.sleetTotal / 2;
+}
+
+/**
+ * Badge for an ice‑driven day.
+ */
+export function iceBadge(summary) {
+  return {
+    text: (summary?.iceAccretion ?? 0) >= ICE_DAMAGING ? "Damaging Ice" : "Icy Roads",
+    class: "badge-ice"
+  };
+}
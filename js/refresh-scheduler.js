@@ -0,0 +1,157 @@
+// /js/refresh-scheduler.js
+// ============================================================
+// REFRESH SCHEDULER — per‑source cadence, pauses while hidden
+// ============================================================
+
+// After a failed refresh, retry sooner than the normal cadence
+const RETRY_MS = 60 * 1000;
+
+/**
+ * Create a scheduler for a set of data sources.
+ *
+ *   onResults(values, generation) — { key: freshValue } for sources that loaded
+ *   onError(key, err)             — a source failed (old value is kept)
+ *
+ * Sources are { key: { intervalMs, load: async () => value, onFocus } };
+ * `onFocus` sources also reload as soon as the tab is visible again.
+ */
+export function createRefreshScheduler({ onResults, onError }) {
+  let sources = {};
+  let timer = null;
+  let running = false;
+  let generation = 0;
+
+  // The tab came back while a refresh was in flight — run the focus
+  // refresh once it settles instead of dropping it
+  let focusPending = false;
+
+  // ------------------------------------------------------------
+  // SOURCE SETUP
+  // ------------------------------------------------------------
+
+  /**
+   * Replace all sources (e.g. after a location change).
+   * `fresh` = the caller just loaded everything, so start the clocks now.
+   */
+  function setSources(defs, { fresh = true } = {}) {
+    generation++;
+    const now = Date.now();
+
+    sources = Object.fromEntries(
+      Object.entries(defs).map(([key, def]) => [
+        key,
+        { ...def, nextDue: fresh ? now + def.intervalMs : now }
+      ])
+    );
+
+    schedule();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  // ------------------------------------------------------------
+  // TIMING
+  // ------------------------------------------------------------
+  function schedule() {
+    stop();
+
+    const keys = Object.keys(sources);
+    if (!keys.length || document.hidden) return;
+
+    // In‑flight sources sit at Infinity until they settle
+    const next = Math.min(...keys.map(k => sources[k].nextDue));
+    if (!Number.isFinite(next)) return;
+    timer = setTimeout(tick, Math.max(0, next - Date.now()));
+  }
+
+  async function tick({ focus = false } = {}) {
+    if (running) {
+      // The refresh in flight reschedules when it settles
+      focusPending ||= focus;
+      return;
+    }
+
+    const now = Date.now();
+    const due = Object.keys(sources).filter(k =>
+      sources[k].nextDue <= now || (focus && sources[k].onFocus)
+    );
+    await refresh(due);
+  }
+
+  // ------------------------------------------------------------
+  // REFRESH
+  // ------------------------------------------------------------
+
+  /**
+   * Load the given sources now (all of them if omitted).
+   */
+  async function refresh(keys = Object.keys(sources)) {
+    if (running) return;   // the refresh in flight reschedules when it settles
+    if (!keys.length) {
+      schedule();
+      return;
+    }
+
+    running = true;
+    const gen = generation;
+
+    // Not due again until they settle, so nothing re‑arms a 0 ms timer meanwhile
+    keys.forEach(k => { sources[k].nextDue = Infinity; });
+
+    const results = await Promise.allSettled(keys.map(k => sources[k].load()));
+
+    // Location changed mid‑flight — these results belong to the old place
+    if (gen !== generation) {
+      running = false;
+      settle();
+      return;
+    }
+
+    const values = {};
+    const now = Date.now();
+
+    results.forEach((r, i) => {
+      const key = keys[i];
+      const src = sources[key];
+
+      if (r.status === "fulfilled") {
+        values[key] = r.value;
+        src.nextDue = now + src.intervalMs;
+      } else {
+        src.nextDue = now + Math.min(src.intervalMs, RETRY_MS);
+        onError?.(key, r.reason);
+      }
+    });
+
+    running = false;
+
+    if (Object.keys(values).length) onResults(values, gen);
+    settle();
+  }
+
+  // After a refresh: a focus refresh that waited on it, else the next timer
+  function settle() {
+    if (focusPending && !document.hidden) {
+      focusPending = false;
+      tick({ focus: true });
+      return;
+    }
+    focusPending = false;
+    schedule();
+  }
+
+  // ------------------------------------------------------------
+  // VISIBILITY + CONNECTIVITY
+  // ------------------------------------------------------------
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) stop();
+    else tick({ focus: true }); // live sources now, plus anything that came due while hidden
+  });
+
+  window.addEventListener("online", () => tick());
+
+  return { setSources, refresh, stop };
+}
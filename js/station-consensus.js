@@ -0,0 +1,160 @@
+// /js/station-consensus.js
+// ============================================================
+// PWS CONSENSUS — blend several nearby stations into one obs
+// Median/MAD outlier rejection + inverse‑distance weighting
+// ============================================================
+
+// Fields we blend, with the smallest spread we still treat as "agreement".
+// Without a floor, three identical stations would give MAD = 0 and
+// reject any fourth station that differs by a tenth of a degree.
+const BLEND_FIELDS = {
+  temp: 1.5,
+  dewPoint: 2,
+  humidity: 5,
+  windSpeed: 3,
+  windGust: 5,
+  solarRadiation: 50,
+  uv: 1,
+  heatIndex: 2,
+  windChill: 2
+};
+
+// Robust z‑score cutoff (in scaled MADs)
+const OUTLIER_CUTOFF = 3;
+
+// Stations closer than this (km) all count as "right here"
+const MIN_DISTANCE_KM = 0.25;
+
+// ------------------------------------------------------------
+// STATS HELPERS
+// ------------------------------------------------------------
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+function weightFor(distanceKm) {
+  const d = Math.max(distanceKm ?? MIN_DISTANCE_KM, MIN_DISTANCE_KM);
+  return 1 / (d * d);
+}
+
+// ------------------------------------------------------------
+// PER‑FIELD BLEND
+// ------------------------------------------------------------
+
+/**
+ * Blend one field across stations.
+ * Returns { value, spread, used, rejected } — ids, not indexes.
+ */
+export function blendField(samples, floor) {
+  const valid = samples.filter(s => s.value != null && Number.isFinite(s.value));
+  if (!valid.length) return { value: null, spread: null, used: [], rejected: [] };
+
+  const center = median(valid.map(s => s.value));
+  const mad = median(valid.map(s => Math.abs(s.value - center))) * 1.4826;
+  const tolerance = OUTLIER_CUTOFF * Math.max(mad, floor);
+
+  // Two stations can't outvote each other — keep both
+  const kept = valid.length < 3
+    ? valid
+    : valid.filter(s => Math.abs(s.value - center) <= tolerance);
+
+  const rejected = valid.filter(s => !kept.includes(s)).map(s => s.stationId);
+
+  let sum = 0;
+  let weights = 0;
+  for (const s of kept) {
+    const w = weightFor(s.distanceKm);
+    sum += s.value * w;
+    weights += w;
+  }
+
+  const values = kept.map(s => s.value);
+
+  return {
+    value: round1(sum / weights),
+    spread: round1(Math.max(...values) - Math.min(...values)),
+    used: kept.map(s => s.stationId),
+    rejected
+  };
+}
+
+// Wind direction has to be averaged as vectors (350° and 10° → 0°, not 180°)
+function blendDirection(observations) {
+  let x = 0;
+  let y = 0;
+
+  for (const o of observations) {
+    if (o.windDir == null) continue;
+    const w = weightFor(o.distanceKm) * Math.max(o.windSpeed ?? 1, 1);
+    const rad = (o.windDir * Math.PI) / 180;
+    x += Math.sin(rad) * w;
+    y += Math.cos(rad) * w;
+  }
+
+  if (x === 0 && y === 0) return null;
+  return Math.round(((Math.atan2(x, y) * 180) / Math.PI + 360) % 360);
+}
+
+// ------------------------------------------------------------
+// STATION CONSENSUS
+// ------------------------------------------------------------
+
+/**
+ * Blend normalized WU observations (each with stationId + distanceKm)
+ * into one observation with the same shape as getWUCurrentConditions,
+ * plus `stations` (ids that passed the temperature check), per‑field
+ * `spread`, and `rejected` ids per field for debugging.
+ */
+export function buildStationConsensus(observations) {
+  const usable = observations.filter(o => o && o.temp != null);
+  if (!usable.length) return null;
+
+  const blended = {};
+  const spread = {};
+  const rejected = {};
+
+  for (const [field, floor] of Object.entries(BLEND_FIELDS)) {
+    const result = blendField(
+      usable.map(o => ({ stationId: o.stationId, distanceKm: o.distanceKm, value: o[field] })),
+      floor
+    );
+
+    blended[field] = result.value;
+    spread[field] = result.spread;
+    if (result.rejected.length) rejected[field] = result.rejected;
+  }
+
+  // A station thrown out on temperature shouldn't steer the wind either
+  const trusted = usable.filter(o => !(rejected.temp || []).includes(o.stationId));
+  const nearest = [...trusted].sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity))[0];
+
+  // Effective station height for the blended temperature
+  const withElev = trusted.filter(o => o.elevation != null);
+  const elevWeights = withElev.reduce((sum, o) => sum + weightFor(o.distanceKm), 0);
+  const elevation = withElev.length
+    ? Math.round(withElev.reduce((sum, o) => sum + o.elevation * weightFor(o.distanceKm), 0) / elevWeights)
+    : null;
+
+  return {
+    ...blended,
+    elevation,
+    humidity: blended.humidity != null ? Math.round(blended.humidity) : null,
+    windDir: blendDirection(trusted),
+
+    stationId: nearest.stationId,
+    distance: nearest.distanceKm ?? null,
+    stationLat: nearest.stationLat ?? null,
+    stationLon: nearest.stationLon ?? null,
+
+    consensus: true,
+    stations: trusted.map(o => o.stationId),
+    spread,
+    rejected
+  };
+}
@@ -0,0 +1,144 @@
+// /js/thunderstorms.js
+// ============================================================
+// THUNDERSTORMS — hourly risk from instability × a trigger
+//
+// Summer afternoon storms over the Blue Ridge need fuel (CAPE,
+// a negative lifted index) and something to set them off. The
+// model's convective precip (`showers`) and the precip chance
+// stand in for the trigger; risk is the product of the two.
+// ============================================================
+
+import { localHour, formatHour, daypartOf } from './forecast-time.js';
+
+// CAPE (J/kg) where instability starts / maxes out
+const CAPE_MIN = 250;
+const CAPE_FULL = 2000;
+
+// Lifted index (°C) bonuses — more negative = more unstable
+const LI_UNSTABLE = -2;
+const LI_VERY_UNSTABLE = -5;
+
+// Hourly risk (%) thresholds
+export const STORM_LEVELS = { isolated: 15, scattered: 30, likely: 50 };
+
+// Hours at or above this count toward the storm window
+const WINDOW_RISK = STORM_LEVELS.scattered;
+
+// ------------------------------------------------------------
+// ONE HOUR
+// ------------------------------------------------------------
+function clamp01(v) {
+  return Math.min(1, Math.max(0, v));
+}
+
+function instability(hourly, i) {
+  const cape = hourly.cape?.[i] ?? 0;
+  const li = hourly.lifted_index?.[i];
+
+  let score = clamp01((cape - CAPE_MIN) / (CAPE_FULL - CAPE_MIN));
+  if (li != null && li <= LI_VERY_UNSTABLE) score += 0.4;
+  else if (li != null && li <= LI_UNSTABLE) score += 0.2;
+
+  return clamp01(score);
+}
+
+function trigger(hourly, i) {
+  const showers = hourly.showers?.[i] ?? 0;   // convective precip, in
+  const chance = hourly.precipitation_probability?.[i] ?? 0;
+
+  const convective = showers > 0 ? clamp01(0.4 + showers * 10) : 0;
+  return Math.max(convective, (chance / 100) * 0.8);
+}
+
+/**
+ * Thunderstorm risk (0–100) for one hour.
+ */
+export function stormRisk(hourly, i) {
+  return Math.round(100 * instability(hourly, i) * trigger(hourly, i));
+}
+
+// ------------------------------------------------------------
+// WINDOW SUMMARY
+// ------------------------------------------------------------
+
+/**
+ * Storm risk across a window of hourly indices.
+ * Returns { level, maxRisk, peakTime, start, end } — level is
+ * "isolated" | "scattered" | "likely" | null; start/end are the
+ * first/last time strings at or above scattered risk (or null).
+ */
+export function assessStorms(hourly, indices) {
+  if (!hourly.cape) {
+    return { level: null, maxRisk: 0, peakTime: null, start: null, end: null };
+  }
+
+  let maxRisk = 0;
+  let peakTime = null;
+  let start = null;
+  let end = null;
+
+  for (const i of indices) {
+    const risk = stormRisk(hourly, i);
+
+    if (risk > maxRisk) {
+      maxRisk = risk;
+      peakTime = hourly.time[i];
+    }
+
+    if (risk >= WINDOW_RISK) {
+      if (start == null) start = hourly.time[i];
+      end = hourly.time[i];
+    }
+  }
+
+  const level =
+    maxRisk >= STORM_LEVELS.likely ? "likely" :
+    maxRisk >= STORM_LEVELS.scattered ? "scattered" :
+    maxRisk >= STORM_LEVELS.isolated ? "isolated" :
+    null;
+
+  return { level, maxRisk, peakTime, start, end };
+}
+
+// ------------------------------------------------------------
+// PHRASES
+// ------------------------------------------------------------
+
+// "2–6 PM" / "around 3 PM"
+function stormSpan(storms) {
+  const from = formatHour(storms.start);
+  const to = formatHour(storms.end);
+  if (from === to) return `around ${from}`;
+
+  const sameHalf = from.slice(-2) === to.slice(-2);
+  return sameHalf ? `${from.split(" ")[0]}–${to}` : `${from}–${to}`;
+}
+
+/**
+ * Timing bullet, or null.
+ *   "⛈️ Storms most likely 2–6 PM — get off exposed ridges by early afternoon."
+ */
+export function stormBullet(storms) {
+  if (!storms?.level) return null;
+
+  if (storms.level === "isolated" || !storms.start) {
+    const part = storms.peakTime ? daypartOf(localHour(storms.peakTime)) : "afternoon";
+    return `An isolated ${part} storm can’t be ruled out — keep an eye on the sky from exposed ridges.`;
+  }
+
+  // Off the ridges an hour before the first storms, named by daypart
+  const by = daypartOf((localHour(storms.start) + 23) % 24);
+  const advice = by === "evening" || by === "overnight"
+    ? "stay off exposed ridges"
+    : `get off exposed ridges by ${by}`;
+
+  const lead = storms.level === "likely" ? "⛈️ Storms most likely" : "⛈️ Scattered storms possible";
+  return `${lead} ${stormSpan(storms)} — ${advice}.`;
+}
+
+/**
+ * Badge for a storm day.
+ */
+export function stormBadge(storms) {
+  return { text: storms.level === "likely" ? "Storms Likely" : "Storms", class: "badge-storms" };
+}
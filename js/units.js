@@ -0,0 +1,120 @@
+// /js/units.js
+// ============================================================
+// UNITS — imperial is canonical, metric is a display choice
+//
+// Every proxy asks its upstream for °F / mph / inches / feet and
+// all thresholds in the intel engines are written in those units.
+// Conversion happens only here, when numbers become text.
+// ============================================================
+
+const UNITS_KEY = "828wx.units";
+
+export const UNIT_SYSTEMS = ["imperial", "metric"];
+
+let system = loadSystem();
+
+function loadSystem() {
+  try {
+    const saved = localStorage.getItem(UNITS_KEY);
+    return UNIT_SYSTEMS.includes(saved) ? saved : "imperial";
+  } catch {
+    return "imperial";
+  }
+}
+
+// ------------------------------------------------------------
+// SELECTION
+// ------------------------------------------------------------
+export function getUnitSystem() {
+  return system;
+}
+
+export function setUnitSystem(next) {
+  if (!UNIT_SYSTEMS.includes(next)) return;
+  system = next;
+
+  try {
+    localStorage.setItem(UNITS_KEY, next);
+  } catch {
+    // Private mode — the choice just won't survive a reload
+  }
+}
+
+const isMetric = () => system === "metric";
+
+// ------------------------------------------------------------
+// NUMERIC CONVERSION (canonical → display)
+// ------------------------------------------------------------
+export function displayTemp(f) {
+  if (f == null) return null;
+  return isMetric() ? (f - 32) * 5 / 9 : f;
+}
+
+// Differences scale without the 32° offset
+export function displayTempDelta(df) {
+  if (df == null) return null;
+  return isMetric() ? df * 5 / 9 : df;
+}
+
+// ------------------------------------------------------------
+// FORMATTERS (canonical in, display text out)
+// ------------------------------------------------------------
+
+/**
+ * 68 → "68°" / "20°"
+ */
+export function formatTemp(f) {
+  if (f == null) return "--";
+  return `${Math.round(displayTemp(f))}°`;
+}
+
+/**
+ * A temperature difference: 9 → "9°" / "5°"
+ */
+export function formatTempDelta(df) {
+  if (df == null) return "--";
+  return `${Math.round(Math.abs(displayTempDelta(df)))}°`;
+}
+
+/**
+ * 20 → "20 mph" / "32 km/h"
+ */
+export function formatSpeed(mph) {
+  if (mph == null) return "--";
+  return isMetric() ? `${Math.round(mph * 1.609344)} km/h` : `${Math.round(mph)} mph`;
+}
+
+/**
+ * Liquid precip: 0.25 → `0.25"` / "6.4 mm"
+ */
+export function formatPrecip(inches) {
+  if (inches == null) return "--";
+  if (!isMetric()) return `${inches.toFixed(2)}"`;
+
+  const mm = inches * 25.4;
+  return `${mm < 10 ? mm.toFixed(1) : Math.round(mm)} mm`;
+}
+
+/**
+ * Snow depth: 1.5 → `1.5"` / "3.8 cm"
+ */
+export function formatSnow(inches) {
+  if (inches == null) return "--";
+  return isMetric() ? `${(inches * 2.54).toFixed(1)} cm` : `${inches.toFixed(1)}"`;
+}
+
+/**
+ * Height differences: 1700 → "1,700 ft" / "520 m" (rounded to `stepFt`'s scale)
+ */
+export function formatHeight(ft, stepFt = 1) {
+  if (ft == null) return "--";
+
+  if (isMetric()) {
+    const stepM = stepFt >= 100 ? 50 : 1;
+    const m = Math.round((ft * 0.3048) / stepM) * stepM;
+    return `${m.toLocaleString("en-US")} m`;
+  }
+
+  const rounded = Math.round(ft / stepFt) * stepFt;
+  return `${rounded.toLocaleString("en-US")} ft`;
+}
@@ -0,0 +1,198 @@
+// /js/valley-fog.js
+// ============================================================
+// VALLEY FOG + INVERSIONS — French Broad / Swannanoa mornings
+//
+// Radiation fog forms when a clear, calm night cools the air in
+// the valleys to its dewpoint, under warmer air on the ridges.
+// Each hour is scored on dewpoint depression, wind, cloud cover
+// and the 850 hPa (≈ ridge‑top) temperature; forecast visibility
+// overrides the score where the model carries it — but only once
+// the hour has passed the precip and wind gates.
+// ============================================================
+
+import { localHour, formatHour } from './forecast-time.js';
+import { formatTempDelta } from './units.js';
+
+// Fog season of the day: late evening through late morning
+const FOG_HOURS = { from: 21, to: 11 };
+
+// Visibility (ft — see getShortTermForecast) for fog / dense fog
+const FOG_VIS_FT = 5280;          // 1 mile
+const DENSE_VIS_FT = 1320;        // ¼ mile (NWS dense fog)
+
+// Fog mixes out at this wind (mph); below it the score weighs calm
+const MIX_OUT_WIND = 9;
+
+// Ridge air this much warmer than the valley = an inversion
+const INVERSION_DELTA = 0;        // °F, 850 hPa minus 2 m
+const STRONG_INVERSION = 4;       // °F — worth its own bullet
+
+// Score thresholds (see scoreHour)
+const SCORE_PATCHY = 3;
+const SCORE_LIKELY = 4;
+const SCORE_DENSE = 6;
+
+export const FOG_LEVELS = ["patchy", "likely", "dense"];
+
+// ------------------------------------------------------------
+// HOURLY SCORING
+// ------------------------------------------------------------
+function inFogHours(hour) {
+  return hour >= FOG_HOURS.from || hour < FOG_HOURS.to;
+}
+
+// 850 hPa minus 2 m temperature, or null without the upper level
+function inversionDelta(hourly, i) {
+  const aloft = hourly.temperature_850hPa?.[i];
+  const sfc = hourly.temperature_2m?.[i];
+  return aloft != null && sfc != null ? aloft - sfc : null;
+}
+
+// Low visibility in rain or snow is the precip, and in a stirring
+// wind it's mixing or low cloud — neither is valley fog
+function fogPossible(hourly, i) {
+  if ((hourly.precipitation?.[i] ?? 0) >= 0.01) return false;
+
+  const wind = hourly.windspeed_10m?.[i];
+  return wind == null || wind < MIX_OUT_WIND;
+}
+
+function scoreHour(hourly, i) {
+  const temp = hourly.temperature_2m?.[i];
+  const dew = hourly.dewpoint_2m?.[i];
+  if (temp == null || dew == null) return 0;
+
+  let score = 0;
+
+  // Saturation
+  const depression = temp - dew;
+  if (depression <= 2) score += 2;
+  else if (depression <= 4) score += 1;
+  else return 0;
+
+  // Calm air lets the valley pool (stronger wind never gets here —
+  // see fogPossible)
+  const wind = hourly.windspeed_10m?.[i];
+  if (wind != null) {
+    if (wind <= 3) score += 2;
+    else if (wind <= 6) score += 1;
+  }
+
+  // Clear skies above = radiational cooling (low cloud AT the
+  // surface is often the fog itself, so only mid/high cover counts against)
+  const cloud = hourly.cloudcover?.[i];
+  const low = hourly.cloudcover_low?.[i] ?? 0;
+  if (cloud != null && cloud - low <= 30) score += 1;
+  else if (cloud != null && cloud - low >= 70) score -= 1;
+
+  // Warm lid on the valley
+  const inv = inversionDelta(hourly, i);
+  if (inv != null && inv >= INVERSION_DELTA) score += 1;
+
+  return score;
+}
+
+function levelFor(hourly, i) {
+  if (!fogPossible(hourly, i)) return null;
+
+  const vis = hourly.visibility?.[i];
+  if (vis != null) {
+    if (vis <= DENSE_VIS_FT) return "dense";
+    if (vis <= FOG_VIS_FT) return "likely";
+  }
+
+  const score = scoreHour(hourly, i);
+  if (score >= SCORE_DENSE) return "dense";
+  if (score >= SCORE_LIKELY) return "likely";
+  if (score >= SCORE_PATCHY) return "patchy";
+  return null;
+}
+
+const rank = level => FOG_LEVELS.indexOf(level);
+
+// ------------------------------------------------------------
+// DETECTION
+// ------------------------------------------------------------
+
+/**
+ * First fog episode in a window of hourly indices.
+ * Returns { level, start, end, clearsAt, inversion } — level is
+ * "patchy" | "likely" | "dense" | null; start/end are hourly indices
+ * of the first/last foggy hour; clearsAt is the time string of the
+ * first clear hour after it (null if fog outlasts the window);
+ * inversion is the strongest ridge‑minus‑valley delta (°F) overnight
+ * and in the morning, up to the end of the fog.
+ */
+export function detectValleyFog(hourly, indices) {
+  let level = null;
+  let start = null;
+  let end = null;
+  let inversion = null;
+  let clearsAt = null;
+
+  for (const i of indices) {
+    const fogHour = inFogHours(localHour(hourly.time[i]));
+    const hourLevel = fogHour ? levelFor(hourly, i) : null;
+
+    // First clear hour after the fog ends this episode
+    if (!hourLevel && start != null) {
+      clearsAt = hourly.time[i];
+      break;
+    }
+
+    // Inversions count overnight / morning, fog or not
+    const inv = fogHour ? inversionDelta(hourly, i) : null;
+    if (inv != null && (inversion == null || inv > inversion)) inversion = inv;
+
+    if (!hourLevel) continue;
+
+    if (start == null) start = i;
+    end = i;
+    if (rank(hourLevel) > rank(level)) level = hourLevel;
+  }
+
+  return {
+    level,
+    start,
+    end,
+    clearsAt,
+    inversion: inversion != null ? Math.round(inversion) : null
+  };
+}
+
+// ------------------------------------------------------------
+// PHRASES
+// ------------------------------------------------------------
+
+/**
+ * Timed bullet, or null when no fog is expected.
+ *   "🌫️ Dense valley fog likely until 9 AM — ridges clear."
+ *   "🌫️ Valley fog likely overnight, lingering until 8 AM."
+ */
+export function fogBullet(fog, hourly) {
+  if (!fog?.level) return null;
+
+  // An inversion means the ridges sit above the fog in clear air
+  const ridges = fog.inversion != null && fog.inversion >= INVERSION_DELTA ? " — ridges clear" : "";
+
+  const formsLater = fog.start != null && localHour(hourly.time[fog.start]) >= FOG_HOURS.from;
+  const until = fog.clearsAt ? `until ${formatHour(fog.clearsAt)}` : "into the morning";
+  const when = formsLater ? `overnight, lingering ${until}` : until;
+
+  switch (fog.level) {
+    case "dense":
+      return `🌫️ Dense valley fog likely ${when}${ridges}.`;
+    case "likely":
+      return `🌫️ Valley fog likely ${when}${ridges}.`;
+    default:
+      return `Patchy fog in the river valleys ${when}.`;
+  }
+}
+
+/**
+ * "Morning inversion — ridges run about 6° warmer than the valleys." or null.
+ */
+export function inversionBullet(fog) {
+  if (fog?.inversion == null || fog.inversion < STRONG_INVERSION) return null;
+  return `Morning inversion — ridges run about ${formatTempDelta(fog.inversion)} warmer than the valleys.`;
+}
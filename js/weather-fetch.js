@@ -1,23 +1,50 @@
 // /js/weather-fetch.js
+// Every request goes through our own /api proxies — no keys in the browser.
 
-const WU_API_KEY = "09a5bd1deb4948caa5bd1deb4968cab8";
+import { buildStationConsensus } from './station-consensus.js';
+
+/**
+ * GET one of our /api endpoints and parse the JSON.
+ * Proxies answer failures as { error, status }.
+ */
+async function fetchApi(path, params, label) {
+  const query = new URLSearchParams(params).toString();
+  const res = await fetch(`/api/${path}?${query}`);
+
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    throw new Error(`${label} failed: ${res.status}${body?.error ? ` (${body.error})` : ""}`);
+  }
+
+  return res.json();
+}
 
 /**
  * Get nearest Weather Underground PWS station for a lat/lon.
  */
 export async function getNearestWUStation(lat, lon) {
-  const url =
-    `https://api.weather.com/v3/location/near?geocode=${lat},${lon}` +
-    `&product=pws&format=json&apiKey=${WU_API_KEY}`;
+  const [nearest] = await getNearestWUStations(lat, lon, 1);
+  return nearest;
+}
 
-  const res = await fetch(url);
-  if (!res.ok) throw new Error("WU station lookup failed: " + res.status);
+/**
+ * Get the N nearest WU PWS stations, closest first.
+ * The v3 location/near response holds parallel arrays per field.
+ */
+export async function getNearestWUStations(lat, lon, count = 5) {
+  const data = await fetchApi("wu-station", { lat, lon }, "WU station lookup");
+  const loc = data.location || {};
+  const ids = loc.stationId || [];
 
-  const data = await res.json();
-  return {
-    stationId: data.location.stationId[0],
-    distance: data.location.distance?.[0] ?? null
-  };
+  if (!ids.length) throw new Error("WU station lookup returned no stations");
+
+  return ids.slice(0, count).map((stationId, i) => ({
+    stationId,
+    distance: loc.distanceKm?.[i] ?? loc.distance?.[i] ?? null,
+    distanceKm: loc.distanceKm?.[i] ?? loc.distance?.[i] ?? null,
+    lat: loc.latitude?.[i] ?? null,
+    lon: loc.longitude?.[i] ?? null
+  }));
 }
 
 /**
@@ -25,16 +52,8 @@ export async function getNearestWUStation(lat, lon) {
  * (Normalized so your app always receives consistent fields.)
  */
 export async function getWUCurrentConditions(stationId) {
-  const url =
-    `https://api.weather.com/v2/pws/observations/current?stationId=${stationId}` +
-    `&format=json&units=e&apiKey=${WU_API_KEY}`;
-
-  const res = await fetch(url);
-  if (!res.ok) throw new Error("WU current conditions failed: " + res.status);
-
-  const data = await res.json();
+  const data = await fetchApi("wu-current", { stationId }, "WU current conditions");
   const obs = data.observations?.[0];
-  console.log("RAW WU OBS:", obs);
 
   if (!obs) {
     return {
@@ -46,6 +65,9 @@ export async function getWUCurrentConditions(stationId) {
       windDir: null,
       solarRadiation: null,
       uv: null,
+      elevation: null,
+      heatIndex: null,
+      windChill: null,
       stationId: stationId
     };
   }
@@ -66,34 +88,175 @@ export async function getWUCurrentConditions(stationId) {
     solarRadiation: obs.solarRadiation ?? null,
     uv: obs.uv ?? null,
 
+    // station height (ft)
+    elevation: imp.elev ?? null,
+
+    // apparent temps (only some stations report them)
+    heatIndex: imp.heatIndex ?? null,
+    windChill: imp.windChill ?? null,
+
     stationId: obs.stationID ?? stationId
   };
 }
 
 /**
- * Get short‑term hourly forecast from Open‑Meteo.
+ * Blend current conditions from the N nearest stations.
+ * Stations that fail to respond are skipped; with only one left,
+ * this returns that station's observation unchanged.
+ */
+export async function getWUConsensusConditions(lat, lon, count = 5) {
+  const stations = await getNearestWUStations(lat, lon, count);
+
+  const results = await Promise.allSettled(
+    stations.map(s => getWUCurrentConditions(s.stationId))
+  );
+
+  const responded = results
+    .map((r, i) =>
+      r.status === "fulfilled"
+        ? {
+            ...r.value,
+            stationId: stations[i].stationId,
+            distanceKm: stations[i].distanceKm,
+            stationLat: stations[i].lat,
+            stationLon: stations[i].lon
+          }
+        : null
+    )
+    .filter(Boolean);
+
+  if (!responded.length) {
+    throw new Error("WU current conditions failed for all nearby stations");
+  }
+
+  const observations = responded.filter(o => o.temp != null);
+  if (observations.length <= 1) return observations[0] ?? responded[0];
+
+  return buildStationConsensus(observations);
+}
+
+/**
+ * Get short‑term hourly forecast from Open‑Meteo (via /api/wu-forecast).
  */
 export async function getShortTermForecast(lat, lon) {
-  const url =
-    `https://api.open-meteo.com/v1/forecast` +
-    `?latitude=${lat}&longitude=${lon}` +
-    `&hourly=temperature_2m,dewpoint_2m,precipitation,snowfall,windgusts_10m,uv_index` +
-    `&forecast_days=3&timezone=America/New_York` +
-    `&temperature_unit=fahrenheit` +
-    `&dewpoint_unit=fahrenheit` +
-    `&wind_speed_unit=mph` +
-    `&precipitation_unit=inch`;
-
-  const res = await fetch(url);
-  if (!res.ok) throw new Error("Short-term forecast fetch failed: " + res.status);
-
-  return (await res.json()).hourly;
+  const data = await fetchApi("wu-forecast", { lat, lon }, "Short-term forecast fetch");
+
+  // Height (m) Open‑Meteo computed this forecast for
+  return { ...toCanonicalHourly(data), gridElevationM: data.elevation ?? null };
+}
+
+/**
+ * Hourly forecasts for fixed high points, e.g. the Parkway landmarks
+ * ({ lat, lon, elevationFt }). Returns one hourly block per point, in
+ * order (null where Open‑Meteo had nothing).
+ */
+export async function getSpotForecasts(points) {
+  const data = await fetchApi(
+    "spot-forecast",
+    {
+      lat: points.map(p => p.lat).join(","),
+      lon: points.map(p => p.lon).join(","),
+      elev: points.map(p => p.elevationFt).join(",")
+    },
+    "Spot forecast fetch"
+  );
+
+  return points.map((_, i) => {
+    const spot = data.spots?.[i];
+    return spot?.hourly ? toCanonicalHourly(spot) : null;
+  });
+}
+
+// Visibility is canonical feet like every other height here; Open‑Meteo
+// answers in metres unless it decides the request was imperial
+function toCanonicalHourly(data) {
+  const hourly = { ...data.hourly };
+
+  if (hourly.visibility && data.hourly_units?.visibility !== "ft") {
+    hourly.visibility = hourly.visibility.map(v => (v == null ? v : v * 3.28084));
+  }
+  return hourly;
 }
 
 /**
- * Placeholder for MRMS fetch – will be wired to /api/mrms later.
- * For now, returns "no precip" so nothing breaks.
+ * Get Open‑Meteo daily aggregates for the next 10 days
+ * (highs/lows, precip + snow totals, max gusts).
+ * Returns the `daily` arrays keyed by variable, plus `time`.
+ */
+export async function getExtendedForecast(lat, lon) {
+  const data = await fetchApi("extended-forecast", { lat, lon }, "Extended forecast fetch");
+  return data.daily;
+}
+
+/**
+ * Open‑Meteo 15‑minute precip / snow for the next three hours.
+ * Returns { time, precipitation, snowfall } or null.
+ */
+export async function getNowcast(lat, lon) {
+  const data = await fetchApi("nowcast", { lat, lon }, "Nowcast fetch");
+  return data.minutely15;
+}
+
+/**
+ * Hourly US AQI, PM2.5 and ozone (Open‑Meteo air quality).
+ * Returns the `hourly` block: { time, us_aqi, us_aqi_pm2_5, us_aqi_ozone, pm2_5, ozone }.
+ */
+export async function getAirQuality(lat, lon) {
+  const data = await fetchApi("air-quality", { lat, lon }, "Air quality fetch");
+  return data.hourly;
+}
+
+/**
+ * Get the same hourly temp/precip/gust series from several models
+ * (GFS, ECMWF, ICON, HRRR) for the confidence engine.
+ * Returns { time, models: { GFS: { temperature_2m, ... }, ... } }.
+ */
+export async function getModelEnsemble(lat, lon) {
+  return fetchApi("forecast-models", { lat, lon }, "Model comparison fetch");
+}
+
+/**
+ * Get active NWS watches/warnings/advisories for a point,
+ * most serious first.
+ */
+export async function getActiveAlerts(lat, lon) {
+  const data = await fetchApi("alerts", { lat, lon }, "NWS alerts fetch");
+  return data.alerts || [];
+}
+
+/**
+ * Get terrain elevations (meters) for a list of { lat, lon } points.
+ */
+export async function getElevations(points) {
+  const data = await fetchApi(
+    "elevation",
+    {
+      lat: points.map(p => p.lat).join(","),
+      lon: points.map(p => p.lon).join(",")
+    },
+    "Elevation lookup"
+  );
+
+  return points.map((_, i) => data.elevation?.[i] ?? null);
+}
+
+/**
+ * Get the MRMS radar precip rate/type around a lat/lon via /api/mrms.
+ * Radar is a bonus signal — on failure, returns "no precip" so nothing breaks.
  */
 export async function getMRMSPixel(lat, lon) {
-  return { rate: 0, type: "none", intensity: "none" };
+  const none = { rate: 0, type: "none", intensity: "none" };
+
+  try {
+    const data = await fetchApi("mrms", { lat, lon }, "MRMS lookup");
+    return {
+      rate: data.rate ?? 0,
+      type: data.type ?? "none",
+      intensity: data.intensity ?? "none",
+      validTime: data.validTime ?? null
+    };
+  } catch (err) {
+    console.warn("MRMS unavailable:", err);
+    return none;
+  }
 }
@@ -1,8 +1,13 @@
 // /js/weather-render.js
 // ============================================================
-// WEATHER RENDERER — Today, Tomorrow, Comfort, UV, Details
+// WEATHER RENDERER — Today, Tomorrow, Comfort, UV, AQI, Details
 // ============================================================
 
+import { renderHourlyChart } from './hourly-chart.js';
+import { FORECAST_TZ } from './forecast-time.js';
+import { formatTemp, formatTempDelta, formatSpeed, formatPrecip, formatSnow, formatHeight } from './units.js';
+import { describePollutant } from './air-quality.js';
+
 // ------------------------------------------------------------
 // RENDER CURRENT OBSERVATIONS (WU)
 // ------------------------------------------------------------
@@ -11,6 +16,7 @@ export function renderCurrentObservations(intel) {
   if (!wu) return;
 
   const tempEl = document.getElementById("wu-temp");
+  const feelsEl = document.getElementById("wu-feels");
   const dewEl = document.getElementById("wu-dew");
   const humEl = document.getElementById("wu-humidity");
   const windEl = document.getElementById("wu-wind");
@@ -21,7 +27,7 @@ export function renderCurrentObservations(intel) {
   // Temperature
   // -----------------------------
   if (tempEl) {
-    tempEl.textContent = wu.temp != null ? `${wu.temp}°` : "--";
+    tempEl.textContent = formatTemp(wu.temp);
 
     tempEl.className = "metric-value";
 
@@ -34,11 +40,20 @@ export function renderCurrentObservations(intel) {
     else tempEl.classList.add("temp-hot");
   }
 
+  // -----------------------------
+  // Feels Like (heat index / wind chill)
+  // -----------------------------
+  if (feelsEl) {
+    const f = intel.feelsLike;
+    const note = { "heat-index": " (heat index)", "wind-chill": " (wind chill)" }[f?.kind] ?? "";
+    feelsEl.textContent = `Feels like ${formatTemp(f?.temp)}${f?.temp != null ? note : ""}`;
+  }
+
   // -----------------------------
   // Dew Point + Humidity
   // -----------------------------
   if (dewEl) {
-    dewEl.textContent = wu.dewPoint != null ? `${wu.dewPoint}°` : "--";
+    dewEl.textContent = formatTemp(wu.dewPoint);
 
     dewEl.className = "metric-value";
 
@@ -58,12 +73,12 @@ export function renderCurrentObservations(intel) {
   // -----------------------------
   if (windEl) {
     const dir = wu.windDir != null ? degToCompass(wu.windDir) : "";
-    const spd = wu.windSpeed != null ? `${wu.windSpeed} mph` : "--";
+    const spd = formatSpeed(wu.windSpeed);
     windEl.textContent = dir ? `${dir} ${spd}` : spd;
   }
 
   if (gustEl) {
-    gustEl.textContent = wu.windGust != null ? `Gusts ${wu.windGust} mph` : "Gusts --";
+    gustEl.textContent = `Gusts ${formatSpeed(wu.windGust)}`;
   }
 
   // -----------------------------
@@ -176,16 +191,55 @@ export function renderRightNowComfort(intel) {
   textEl.textContent = summary;
 }
 
+// ------------------------------------------------------------
+// RENDER NWS ALERT BANNER
+// ------------------------------------------------------------
+export function renderAlerts(intel) {
+  const banner = document.getElementById("alert-banner");
+  if (!banner) return;
+
+  const alerts = intel.alerts || [];
+  banner.innerHTML = "";
+  banner.style.display = alerts.length ? "block" : "none";
+
+  alerts.forEach(a => {
+    const item = document.createElement("details");
+    item.className = `alert-item alert-${a.level}`;
+
+    const summary = document.createElement("summary");
+    const until = a.ends
+      ? ` until ${new Date(a.ends).toLocaleString("en-US", { timeZone: FORECAST_TZ, weekday: "short", hour: "numeric", minute: "2-digit" })}`
+      : "";
+    summary.textContent = `⚠️ ${a.event}${until}`;
+
+    const body = document.createElement("div");
+    body.className = "alert-body";
+    body.textContent = [a.headline, a.description, a.instruction].filter(Boolean).join("\n\n");
+
+    item.append(summary, body);
+    banner.appendChild(item);
+  });
+}
+
 // ------------------------------------------------------------
 // RENDER TODAY OUTLOOK
 // ------------------------------------------------------------
 export function renderTodayOutlook(intel) {
   const emojiEl = document.getElementById("today-emoji");
+  const badgeEl = document.getElementById("today-badge");
   const headlineEl = document.getElementById("today-headline");
   const textEl = document.getElementById("today-text");
   const bulletsEl = document.getElementById("today-bullets");
 
-  const { emoji, headline, text, bullets } = intel.today;
+  const { badge, emoji, headline, text, bullets } = intel.today;
+
+  // Today only shows a badge when something (a warning) overrides the day
+  if (badgeEl) {
+    const show = badge && badge.class !== "badge-easy";
+    badgeEl.style.display = show ? "inline-flex" : "none";
+    badgeEl.textContent = show ? badge.text : "";
+    badgeEl.className = `badge ${show ? badge.class : ""}`;
+  }
 
   emojiEl.textContent = emoji;
   headlineEl.textContent = headline;
@@ -194,6 +248,16 @@ export function renderTodayOutlook(intel) {
   renderBullets(bulletsEl, bullets);
 }
 
+// ------------------------------------------------------------
+// RENDER MICRO‑ADVICE (under today, for the chosen activity)
+// ------------------------------------------------------------
+export function renderMicroAdvice(intel) {
+  const el = document.getElementById("micro-advice");
+  if (!el) return;
+
+  el.textContent = intel.today?.suppressMicroAdvice ? "" : intel.microAdvice ?? "";
+}
+
 // ------------------------------------------------------------
 // RENDER TOMORROW OUTLOOK
 // ------------------------------------------------------------
@@ -215,6 +279,104 @@ export function renderTomorrowOutlook(intel) {
   renderBullets(bulletsEl, bullets);
 }
 
+// ------------------------------------------------------------
+// RENDER EXTENDED OUTLOOK (days 3–10)
+// ------------------------------------------------------------
+export function renderExtendedOutlook(intel) {
+  const section = document.getElementById("extended-section");
+  const trendEl = document.getElementById("extended-trend");
+  const strip = document.getElementById("extended-strip");
+  if (!section || !strip) return;
+
+  const ext = intel.extended;
+  section.style.display = ext?.days?.length ? "block" : "none";
+  strip.innerHTML = "";
+  if (!ext?.days?.length) return;
+
+  trendEl.textContent = ext.trend || "";
+
+  ext.days.forEach(day => {
+    const card = document.createElement("div");
+    card.className = "extended-day";
+    card.title = `${day.headline} ${day.text}`;
+
+    const precip = day.snowTotal >= 0.1
+      ? `❄️ ${formatSnow(day.snowTotal)}`
+      : day.precipTotal >= 0.01 ? `💧 ${formatPrecip(day.precipTotal)}` : "";
+
+    card.innerHTML = `
+      <div class="extended-label">${day.label}</div>
+      <div class="extended-emoji">${day.emoji}</div>
+      <div class="extended-temps">${formatTemp(day.tempHigh)} <span>${formatTemp(day.tempLow)}</span></div>
+      <div class="extended-precip">${precip}</div>
+    `;
+
+    // Same rule as Today: only show a badge when it says something
+    if (day.badge && day.badge.class !== "badge-easy") {
+      const badge = document.createElement("div");
+      badge.className = `badge ${day.badge.class}`;
+      badge.textContent = day.badge.text;
+      card.appendChild(badge);
+    }
+
+    strip.appendChild(card);
+  });
+}
+
+// ------------------------------------------------------------
+// RENDER UP HIGH (Parkway landmarks vs. here)
+// ------------------------------------------------------------
+function describeDelta(delta) {
+  if (delta == null) return "";
+  if (Math.abs(delta) < 2) return "same as you";
+  return `${formatTempDelta(delta)} ${delta < 0 ? "colder" : "warmer"}`;
+}
+
+export function renderUpHigh(intel) {
+  const section = document.getElementById("uphigh-section");
+  const summaryEl = document.getElementById("uphigh-summary");
+  const list = document.getElementById("uphigh-list");
+  if (!section || !list) return;
+
+  const upHigh = intel.upHigh;
+  section.style.display = upHigh?.spots?.length ? "block" : "none";
+  list.innerHTML = "";
+  if (!upHigh?.spots?.length) return;
+
+  summaryEl.textContent = upHigh.summary || "";
+
+  upHigh.spots.forEach(spot => {
+    const row = document.createElement("li");
+    row.className = `uphigh-row${spot.closure ? ` closure-${spot.closure}` : ""}`;
+    row.title = spot.headline;
+
+    const where = spot.milepost != null
+      ? `${formatHeight(spot.elevationFt, 10)} · MP ${spot.milepost}`
+      : formatHeight(spot.elevationFt, 10);
+
+    row.innerHTML = `
+      <div class="uphigh-emoji">${spot.emoji}</div>
+      <div class="uphigh-name">${spot.name}<span>${where}</span></div>
+      <div class="uphigh-temp">${formatTemp(spot.tempNow)}<span>${describeDelta(spot.deltaToUser)}</span></div>
+      <div class="uphigh-wind">💨 ${formatSpeed(spot.gustMax)}</div>
+    `;
+
+    if (spot.flags.length) {
+      const flags = document.createElement("div");
+      flags.className = "uphigh-flags";
+      spot.flags.forEach(f => {
+        const chip = document.createElement("span");
+        chip.className = `uphigh-flag closure-${f.closure}`;
+        chip.textContent = f.text;
+        flags.appendChild(chip);
+      });
+      row.appendChild(flags);
+    }
+
+    list.appendChild(row);
+  });
+}
+
 // ------------------------------------------------------------
 // RENDER UV INDEX (FORECAST)
 // ------------------------------------------------------------
@@ -227,6 +389,32 @@ export function renderUV(intel) {
   uvEl.className = getUVClass(uv);
 }
 
+// ------------------------------------------------------------
+// RENDER AIR QUALITY (next to UV)
+// ------------------------------------------------------------
+export function renderAirQuality(intel) {
+  const valueEl = document.getElementById("aq-value");
+  const subEl = document.getElementById("aq-sub");
+  if (!valueEl) return;
+
+  const aq = intel.airQuality;
+
+  if (!aq) {
+    valueEl.textContent = "--";
+    valueEl.className = "metric-value";
+    if (subEl) subEl.textContent = "AQI unavailable";
+    return;
+  }
+
+  valueEl.textContent = aq.aqi;
+  valueEl.className = `metric-value ${aq.category.class}`;
+
+  if (subEl) {
+    const pollutant = aq.aqi > 50 ? ` · ${describePollutant(aq)}` : "";
+    subEl.textContent = `${aq.category.label}${pollutant}`;
+  }
+}
+
 // ------------------------------------------------------------
 // RENDER TODAY DETAIL
 // ------------------------------------------------------------
@@ -237,14 +425,19 @@ export function renderTodayDetail(intel) {
   const d = intel.todayDetail;
 
   panel.innerHTML = `
+    <div class="fx-section">
+      <div class="fx-label">Hour by Hour</div>
+      <div class="fx-chart"></div>
+    </div>
+
     <div class="fx-section">
       <div class="fx-label">High</div>
-      <div class="fx-value">${d.high}°</div>
+      <div class="fx-value">${formatTemp(d.high)}</div>
     </div>
 
     <div class="fx-section">
       <div class="fx-label">Low</div>
-      <div class="fx-value">${d.low}°</div>
+      <div class="fx-value">${formatTemp(d.low)}</div>
     </div>
 
     <div class="fx-section">
@@ -257,6 +450,11 @@ export function renderTodayDetail(intel) {
       <div class="fx-value">${d.windShifts}</div>
     </div>
 
+    <div class="fx-section">
+      <div class="fx-label">Frost Tonight</div>
+      <div class="fx-value">${d.frost ?? "--"}</div>
+    </div>
+
     <div class="fx-section">
       <div class="fx-label">Confidence</div>
       <div class="fx-value">${d.confidence}</div>
@@ -267,6 +465,8 @@ export function renderTodayDetail(intel) {
       <div class="fx-value">${d.reasoning}</div>
     </div>
   `;
+
+  renderHourlyChart(panel.querySelector(".fx-chart"), d.hourly);
 }
 
 // ------------------------------------------------------------
@@ -291,14 +491,19 @@ export function renderTomorrowDetail(intel) {
           .join(", ")}`;
 
   panel.innerHTML = `
+    <div class="fx-section">
+      <div class="fx-label">Hour by Hour</div>
+      <div class="fx-chart"></div>
+    </div>
+
     <div class="fx-section">
       <div class="fx-label">High</div>
-      <div class="fx-value">${d.high}°</div>
+      <div class="fx-value">${formatTemp(d.high)}</div>
     </div>
 
     <div class="fx-section">
       <div class="fx-label">Low</div>
-      <div class="fx-value">${d.low}°</div>
+      <div class="fx-value">${formatTemp(d.low)}</div>
     </div>
 
     <div class="fx-section">
@@ -306,6 +511,16 @@ export function renderTomorrowDetail(intel) {
       <div class="fx-value">${d.precipWindow}</div>
     </div>
 
+    <div class="fx-section">
+      <div class="fx-label">Wind Shifts</div>
+      <div class="fx-value">${d.windShifts ?? "--"}</div>
+    </div>
+
+    <div class="fx-section">
+      <div class="fx-label">Frost Tomorrow Night</div>
+      <div class="fx-value">${d.frost ?? "--"}</div>
+    </div>
+
     <div class="fx-section">
       <div class="fx-label">Peak UV</div>
       <div class="fx-value">${peakText}</div>
@@ -321,6 +536,8 @@ export function renderTomorrowDetail(intel) {
       <div class="fx-value">${d.reasoning}</div>
     </div>
   `;
+
+  renderHourlyChart(panel.querySelector(".fx-chart"), d.hourly);
 }
 
 // ------------------------------------------------------------
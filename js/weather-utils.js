@@ -1,5 +1,7 @@
 // /js/weather-utils.js
 
+import { hourlyInstants } from './forecast-time.js';
+
 /**
  * Find the index of the hourly forecast closest to "now".
  */
@@ -8,8 +10,7 @@ export function findNearestHourIndex(hourly) {
   let bestIndex = 0;
   let bestDiff = Infinity;
 
-  hourly.time.forEach((t, i) => {
-    const d = new Date(t);
+  hourlyInstants(hourly).forEach((d, i) => {
     const diff = Math.abs(d - now);
     if (diff < bestDiff) {
       bestDiff = diff;
@@ -52,3 +53,118 @@ export function getReliableUV(obs, fallbackUV, solarRadiation) {
   // 4. No UV available
   return null;
 }
+
+/**
+ * Relative humidity (%) from air temp + dewpoint (°F), Magnus formula.
+ */
+export function relativeHumidity(tempF, dewF) {
+  if (tempF == null || dewF == null) return null;
+
+  const t = (tempF - 32) / 1.8;
+  const d = (dewF - 32) / 1.8;
+  const rh = 100 * Math.exp((17.625 * d) / (243.04 + d) - (17.625 * t) / (243.04 + t));
+  return Math.min(100, Math.max(0, rh));
+}
+
+/**
+ * Wet‑bulb temperature (°F) from air temp + dewpoint (°F), Stull (2011).
+ * Good to about ±1 °F at the humidities that matter for precip type.
+ */
+export function wetBulbF(tempF, dewF) {
+  const rh = relativeHumidity(tempF, dewF);
+  if (rh == null) return null;
+
+  const t = (tempF - 32) / 1.8;
+  const tw =
+    t * Math.atan(0.151977 * Math.sqrt(rh + 8.313659)) +
+    Math.atan(t + rh) -
+    Math.atan(rh - 1.676331) +
+    0.00391838 * Math.pow(rh, 1.5) * Math.atan(0.023101 * rh) -
+    4.686035;
+
+  return tw * 1.8 + 32;
+}
+
+/**
+ * NWS heat index (°F) — Rothfusz regression with the NWS adjustments.
+ */
+export function heatIndexF(tempF, rh) {
+  if (tempF == null || rh == null) return null;
+
+  const T = tempF;
+  const R = rh;
+
+  // Simple formula first; the regression only applies when it's ≥ 80°F
+  const simple = 0.5 * (T + 61 + (T - 68) * 1.2 + R * 0.094);
+  if ((simple + T) / 2 < 80) return simple;
+
+  let hi =
+    -42.379 +
+    2.04901523 * T +
+    10.14333127 * R -
+    0.22475541 * T * R -
+    0.00683783 * T * T -
+    0.05481717 * R * R +
+    0.00122874 * T * T * R +
+    0.00085282 * T * R * R -
+    0.00000199 * T * T * R * R;
+
+  if (R < 13 && T >= 80 && T <= 112) {
+    hi -= ((13 - R) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+  } else if (R > 85 && T >= 80 && T <= 87) {
+    hi += ((R - 85) / 10) * ((87 - T) / 5);
+  }
+
+  return hi;
+}
+
+/**
+ * NWS wind chill (°F). Only defined for T ≤ 50°F and wind ≥ 3 mph.
+ */
+export function windChillF(tempF, windMph) {
+  if (tempF == null || windMph == null) return null;
+  if (tempF > 50 || windMph < 3) return null;
+
+  const v = Math.pow(windMph, 0.16);
+  return 35.74 + 0.6215 * tempF - 35.75 * v + 0.4275 * tempF * v;
+}
+
+/**
+ * Apparent temperature for an observation:
+ * 1. Station‑reported heatIndex / windChill (if the reading wasn't
+ *    shifted to another elevation)
+ * 2. Computed NWS heat index / wind chill
+ * 3. Air temperature
+ */
+export function getFeelsLike(obs) {
+  const temp = obs?.temp;
+  if (temp == null) return { temp: null, kind: "air", source: null };
+
+  const trustStation = !obs.elevationAdjusted;
+  const rh = relativeHumidity(temp, obs.dewPoint) ?? obs.humidity;
+
+  if (temp >= 80) {
+    const value = trustStation && obs.heatIndex != null ? obs.heatIndex : heatIndexF(temp, rh);
+    if (value != null) {
+      return {
+        temp: Math.round(value),
+        kind: "heat-index",
+        source: trustStation && obs.heatIndex != null ? "station" : "computed"
+      };
+    }
+  }
+
+  if (temp <= 50) {
+    const wind = obs.windSpeed;
+    const value = trustStation && obs.windChill != null ? obs.windChill : windChillF(temp, wind);
+    if (value != null && value < temp) {
+      return {
+        temp: Math.round(value),
+        kind: "wind-chill",
+        source: trustStation && obs.windChill != null ? "station" : "computed"
+      };
+    }
+  }
+
+  return { temp: Math.round(temp), kind: "air", source: "station" };
+}
@@ -0,0 +1,204 @@
+// /js/wind-shifts.js
+// ============================================================
+// WIND — prevailing direction, veering/backing, frontal passages
+// (Northern Hemisphere: veering = clockwise, backing = counter‑clockwise)
+// ============================================================
+
+import { degToCompass } from './weather-render.js';
+import { formatHour } from './forecast-time.js';
+import { formatSpeed, formatTempDelta } from './units.js';
+
+// Below this the vane just wanders — direction isn't meaningful
+const CALM_MPH = 4;
+
+// Compare direction across this many hours (smooths single‑hour wobble)
+const SHIFT_SPAN = 3;
+
+// Turn big enough to call a shift
+const SHIFT_DEG = 45;
+
+// Cold front: a veer of this size into the W–N sector with cooling or drying
+const FRONT_VEER_DEG = 60;
+const FRONT_TEMP_DROP = 5;   // °F over the span
+const FRONT_DEW_DROP = 5;    // °F over the span
+
+// ------------------------------------------------------------
+// HELPERS
+// ------------------------------------------------------------
+
+// Signed smallest turn from a → b, in (−180, 180]; positive = clockwise
+function turn(a, b) {
+  let d = ((b - a) % 360 + 360) % 360;
+  if (d > 180) d -= 360;
+  return d;
+}
+
+// W through N (250°–30°) — where winds settle behind a cold front
+function isPostFrontal(deg) {
+  return deg >= 250 || deg <= 30;
+}
+
+/**
+ * Speed‑weighted vector mean of directions (degrees, meteorological).
+ * Calm hours are ignored. Returns null if nothing usable.
+ */
+export function prevailingDirection(speeds, dirs) {
+  let u = 0;
+  let v = 0;
+
+  dirs.forEach((d, i) => {
+    const s = speeds[i] ?? 0;
+    if (d == null || s < CALM_MPH) return;
+    const rad = (d * Math.PI) / 180;
+    u += s * Math.sin(rad);
+    v += s * Math.cos(rad);
+  });
+
+  if (u === 0 && v === 0) return null;
+  return (Math.atan2(u, v) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * "SW 12 mph, gusts 30 mph" (sustained first, canonical mph in).
+ */
+export function describeSustainedWind(sustained, gust, dir = null) {
+  const compass = dir != null ? `${degToCompass(dir)} ` : "";
+  const base = sustained != null ? `${compass}${formatSpeed(sustained)}` : "";
+  const gusts = gust != null ? `gusts ${formatSpeed(gust)}` : "";
+  return [base, gusts].filter(Boolean).join(", ");
+}
+
+// ------------------------------------------------------------
+// SHIFT DETECTION
+// ------------------------------------------------------------
+
+/**
+ * Find direction shifts across a window of hourly indices.
+ * Returns { prevailing, shifts: [{ index, time, from, to, change, kind }], front }.
+ * `front` is the first shift that looks like a cold‑front passage, or null.
+ */
+export function detectWindShifts(hourly, indices) {
+  const speeds = indices.map(i => hourly.windspeed_10m?.[i] ?? null);
+  const dirs = indices.map(i => hourly.winddirection_10m?.[i] ?? null);
+  const temps = indices.map(i => hourly.temperature_2m?.[i] ?? null);
+  const dews = indices.map(i => hourly.dewpoint_2m?.[i] ?? null);
+
+  const prevailing = prevailingDirection(speeds, dirs);
+
+  // Smoothed direction per hour: vector mean of the hour and its neighbours
+  const smooth = dirs.map((_, k) => {
+    const lo = Math.max(0, k - 1);
+    return prevailingDirection(speeds.slice(lo, k + 2), dirs.slice(lo, k + 2));
+  });
+
+  const shifts = [];
+  let k = 0;
+
+  while (k + SHIFT_SPAN < indices.length) {
+    const a = smooth[k];
+    const b = smooth[k + SHIFT_SPAN];
+
+    if (a == null || b == null) {
+      k++;
+      continue;
+    }
+
+    const change = turn(a, b);
+    if (Math.abs(change) < SHIFT_DEG) {
+      k++;
+      continue;
+    }
+
+    // Pin the shift to the hour with the sharpest raw turn in the span
+    let at = k + 1;
+    let sharpest = -1;
+    for (let j = k + 1; j <= k + SHIFT_SPAN; j++) {
+      if (dirs[j - 1] == null || dirs[j] == null) continue;
+      const t = Math.abs(turn(dirs[j - 1], dirs[j]));
+      if (t > sharpest) {
+        sharpest = t;
+        at = j;
+      }
+    }
+
+    const end = Math.min(indices.length - 1, at + SHIFT_SPAN - 1);
+    const before = Math.max(0, at - SHIFT_SPAN);
+
+    const from = prevailingDirection(speeds.slice(before, at), dirs.slice(before, at)) ?? a;
+    const to = prevailingDirection(speeds.slice(at, end + 1), dirs.slice(at, end + 1)) ?? b;
+
+    const drop = arr => (arr[at - 1] != null && arr[end] != null ? arr[at - 1] - arr[end] : 0);
+    const tempDrop = drop(temps);
+    const dewDrop = drop(dews);
+
+    const frontal =
+      change >= FRONT_VEER_DEG &&
+      isPostFrontal(to) &&
+      (tempDrop >= FRONT_TEMP_DROP || dewDrop >= FRONT_DEW_DROP);
+
+    shifts.push({
+      index: indices[at],
+      time: hourly.time[indices[at]],
+      from,
+      to,
+      change: Math.round(change),
+      kind: change > 0 ? "veering" : "backing",
+      frontal,
+      tempDrop: Math.round(tempDrop),
+      dewDrop: Math.round(dewDrop)
+    });
+
+    // Skip past this shift so one turn isn't reported three times
+    k = at + SHIFT_SPAN - 1;
+  }
+
+  return {
+    prevailing,
+    shifts,
+    front: shifts.find(s => s.frontal) ?? null
+  };
+}
+
+// ------------------------------------------------------------
+// PHRASES
+// ------------------------------------------------------------
+
+/**
+ * One line for the "Wind Shifts" detail row.
+ *   "SW → NW around 3 PM (veering) — cold front; temps drop 8°."
+ *   "Steady SW, 8–14 mph."
+ */
+export function describeWindShifts(analysis, hourly, indices) {
+  const speeds = indices.map(i => hourly.windspeed_10m?.[i]).filter(v => v != null);
+
+  if (!analysis || analysis.prevailing == null) {
+    return speeds.length ? "Light and variable." : "Wind direction unavailable.";
+  }
+
+  if (!analysis.shifts.length) {
+    const lo = Math.min(...speeds);
+    const hi = Math.max(...speeds);
+    const range = Math.round(lo) === Math.round(hi)
+      ? formatSpeed(hi)
+      : `${formatSpeed(lo).split(" ")[0]}–${formatSpeed(hi)}`;
+    return `Steady ${degToCompass(analysis.prevailing)}, ${range}.`;
+  }
+
+  return analysis.shifts
+    .slice(0, 2)
+    .map(s => {
+      const base = `${degToCompass(s.from)} → ${degToCompass(s.to)} around ${formatHour(s.time)} (${s.kind})`;
+      if (!s.frontal) return base;
+      const drop = s.tempDrop >= FRONT_TEMP_DROP ? `; temps drop ${formatTempDelta(s.tempDrop)}` : "";
+      return `${base} — cold front${drop}`;
+    })
+    .join(". ") + ".";
+}
+
+/**
+ * Outlook bullet for a frontal passage, or null.
+ */
+export function frontBullet(front) {
+  if (!front) return null;
+  return `Wind shifts ${degToCompass(front.to)} around ${formatHour(front.time)} — a cold front moves through.`;
+}
@@ -0,0 +1,91 @@
+// /scripts/build-climate.mjs
+// ============================================================
+// Regenerate js/data/kavl-climate.js from NOAA ACIS
+//
+//   node scripts/build-climate.mjs
+//
+// Daily normals: NCEI 1991–2020 (ACIS station "AVL").
+// Daily records: Asheville threaded record (ACIS "AVLthr"),
+// full period of record. Ties go to the most recent year.
+// ============================================================
+
+import { writeFile } from "node:fs/promises";
+
+const ACIS_URL = "https://data.rcc-acis.org/StnData";
+const OUT_FILE = new URL("../js/data/kavl-climate.js", import.meta.url);
+
+async function acis(body) {
+  const r = await fetch(ACIS_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  if (!r.ok) throw new Error(`ACIS request failed: ${r.status}`);
+  return r.json();
+}
+
+const num = v => {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+const dayKey = iso => iso.slice(5, 10);
+
+async function main() {
+  // 2020 is a leap year, so the normals cover Feb 29 too
+  const normals = await acis({
+    sid: "AVL",
+    sdate: "2020-01-01",
+    edate: "2020-12-31",
+    elems: [{ name: "maxt", normal: "1" }, { name: "mint", normal: "1" }]
+  });
+
+  const por = await acis({
+    sid: "AVLthr",
+    sdate: "por",
+    edate: "por",
+    elems: [{ name: "maxt" }, { name: "mint" }]
+  });
+
+  const days = {};
+
+  for (const [date, hi, lo] of normals.data) {
+    days[dayKey(date)] = [Math.round(num(hi)), Math.round(num(lo)), null, null, null, null];
+  }
+
+  for (const [date, hiRaw, loRaw] of por.data) {
+    const row = days[dayKey(date)];
+    if (!row) continue;
+
+    const year = Number(date.slice(0, 4));
+    const hi = num(hiRaw);
+    const lo = num(loRaw);
+
+    if (hi != null && (row[2] == null || hi >= row[2])) { row[2] = hi; row[3] = year; }
+    if (lo != null && (row[4] == null || lo <= row[4])) { row[4] = lo; row[5] = year; }
+  }
+
+  const years = por.data.map(d => d[0].slice(0, 4));
+  const body =
+`// /js/data/kavl-climate.js
+// Generated by scripts/build-climate.mjs — do not edit by hand.
+
+export const KAVL_CLIMATE = {
+  station: "KAVL",
+  normalsPeriod: "1991–2020",
+  recordsPeriod: "${years[0]}–${years.at(-1)}",
+  source: "NOAA NCEI normals + ACIS threaded record (AVLthr)",
+
+  // "MM-DD": [normalHigh, normalLow, recordHigh, recordHighYear, recordLow, recordLowYear]
+  days: ${JSON.stringify(days, null, 0).replace(/\],"/g, '],\n    "').replace(/^\{/, "{\n    ").replace(/\}$/, "\n  }")}
+};
+`;
+
+  await writeFile(OUT_FILE, body);
+  console.log(`Wrote ${Object.keys(days).length} days to ${OUT_FILE.pathname}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
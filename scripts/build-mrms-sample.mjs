@@ -0,0 +1,290 @@
+// /scripts/build-mrms-sample.mjs
+// ============================================================
+// Write the small MRMS sample grids used by test/mrms.test.js
+//
+//   node scripts/build-mrms-sample.mjs                 # crop the latest MRMS files
+//   node scripts/build-mrms-sample.mjs rate.gz flag.gz # crop saved MRMS files
+//   node scripts/build-mrms-sample.mjs --synthetic     # known test pattern
+//
+// Crops PrecipRate and PrecipFlag to the 828 box on MRMS's own 0.01°
+// grid and re-encodes them with PNG packing (template 5.41, every PNG
+// row filter in turn), so the decoder runs the same code path as on a
+// live CONUS file. The committed samples are the --synthetic pattern:
+// a rain cell over downtown Asheville and snow on the Black Mountains,
+// with values the test can assert exactly.
+// ============================================================
+
+import zlib from "node:zlib";
+import { readFile, writeFile } from "node:fs/promises";
+import { parseGrib2, gridIndexFor, readGrib2Window } from "../api/_lib/grib2.js";
+import { MRMS_PRODUCTS } from "../api/_lib/mrms.js";
+
+const OUT = {
+  rate: new URL("../api/_fixtures/mrms-preciprate-828.grib2.gz", import.meta.url),
+  flag: new URL("../api/_fixtures/mrms-precipflag-828.grib2.gz", import.meta.url)
+};
+
+// Northwest corner and size of the crop (cells are 0.01°)
+const BOX = { north: 36.40, west: -84.30, nx: 300, ny: 140 };
+const STEP = 0.01;
+
+// Packing for the synthetic grids, offset so the -3 "no coverage"
+// sentinel packs to 0: rate in tenths of mm/hr, flag as whole codes
+const PACKING = {
+  rate: { reference: -30, binaryScale: 0, decimalScale: 1 },
+  flag: { reference: -3, binaryScale: 0, decimalScale: 0 }
+};
+
+// ------------------------------------------------------------
+// GRIB2 WRITER (the subset grib2.js reads)
+// ------------------------------------------------------------
+function section(number, length, fill) {
+  const s = Buffer.alloc(length);
+  s.writeUInt32BE(length, 0);
+  s[4] = number;
+  fill(s);
+  return s;
+}
+
+// Sign‑magnitude, as GRIB2 stores negative integers
+function writeSigned(buf, value, offset, bytes) {
+  const magnitude = Math.abs(value);
+  buf.writeUIntBE(magnitude, offset, bytes);
+  if (value < 0) buf[offset] |= 0x80;
+}
+
+function encodeGrib2({ refTime, grid, packing, parameter, values }) {
+  const { nx, ny } = grid;
+  const ints = values.map(v =>
+    Math.round((v * 10 ** packing.decimalScale - packing.reference) / 2 ** packing.binaryScale)
+  );
+  const bits = Math.max(...ints) > 255 ? 16 : 8;
+
+  const s1 = section(1, 21, s => {
+    s.writeUInt16BE(161, 5);                    // NOAA/OAR
+    s[9] = 2;                                   // master tables
+    s[11] = 1;                                  // reference time = start of forecast
+    s.writeUInt16BE(refTime.getUTCFullYear(), 12);
+    s[14] = refTime.getUTCMonth() + 1;
+    s[15] = refTime.getUTCDate();
+    s[16] = refTime.getUTCHours();
+    s[17] = refTime.getUTCMinutes();
+    s[18] = refTime.getUTCSeconds();
+  });
+
+  const s3 = section(3, 72, s => {
+    s.writeUInt32BE(nx * ny, 6);
+    s[14] = 6;                                  // spherical earth, 6371.229 km
+    s.writeUInt32BE(nx, 30);
+    s.writeUInt32BE(ny, 34);
+    writeSigned(s, Math.round(grid.la1 * 1e6), 46, 4);
+    writeSigned(s, Math.round(grid.lo1 * 1e6), 50, 4);
+    s[54] = 0x30;
+    writeSigned(s, Math.round(grid.la2 * 1e6), 55, 4);
+    writeSigned(s, Math.round(grid.lo2 * 1e6), 59, 4);
+    s.writeUInt32BE(Math.round(grid.di * 1e6), 63);
+    s.writeUInt32BE(Math.round(grid.dj * 1e6), 67);
+    s[71] = 0;                                  // north → south, west → east
+  });
+
+  const s4 = section(4, 34, s => {
+    s[9] = parameter.category;
+    s[10] = parameter.number;
+  });
+
+  const s5 = section(5, 21, s => {
+    s.writeUInt32BE(nx * ny, 5);
+    s.writeUInt16BE(41, 9);
+    s.writeFloatBE(packing.reference, 11);
+    writeSigned(s, packing.binaryScale, 15, 2);
+    writeSigned(s, packing.decimalScale, 17, 2);
+    s[19] = bits;
+  });
+
+  const s6 = section(6, 6, s => { s[5] = 255; });
+
+  const png = encodePng(ints, nx, ny, bits);
+  const s7 = Buffer.concat([section(7, 5, s => s.writeUInt32BE(5 + png.length, 0)), png]);
+
+  const body = Buffer.concat([s1, s3, s4, s5, s6, s7, Buffer.from("7777")]);
+  const s0 = Buffer.alloc(16);
+  s0.write("GRIB", 0, "ascii");
+  s0[6] = 209;                                  // MRMS local discipline
+  s0[7] = 2;
+  s0.writeBigUInt64BE(BigInt(16 + body.length), 8);
+
+  return Buffer.concat([s0, body]);
+}
+
+// ------------------------------------------------------------
+// PNG WRITER (grayscale, one filter type per row in rotation)
+// ------------------------------------------------------------
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, "ascii");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])));
+  return Buffer.concat([head, body, crc]);
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+function encodePng(ints, nx, ny, bits) {
+  const bpp = bits / 8;
+  const stride = nx * bpp;
+  const raw = Buffer.alloc(ny * (stride + 1));
+  let prev = Buffer.alloc(stride);
+
+  for (let j = 0; j < ny; j++) {
+    const line = Buffer.alloc(stride);
+    for (let i = 0; i < nx; i++) line.writeUIntBE(ints[j * nx + i], i * bpp, bpp);
+
+    const filter = j % 5;
+    const out = raw.subarray(j * (stride + 1));
+    out[0] = filter;
+
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? line[x - bpp] : 0;
+      const b = prev[x];
+      const c = x >= bpp ? prev[x - bpp] : 0;
+      const predict = [0, a, b, (a + b) >> 1, paeth(a, b, c)][filter];
+      out[1 + x] = (line[x] - predict) & 0xff;
+    }
+
+    prev = line;
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(nx, 0);
+  ihdr.writeUInt32BE(ny, 4);
+  ihdr[8] = bits;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+// ------------------------------------------------------------
+// SOURCES
+// ------------------------------------------------------------
+const cropGrid = {
+  nx: BOX.nx,
+  ny: BOX.ny,
+  la1: BOX.north,
+  lo1: BOX.west + 360,
+  la2: BOX.north - (BOX.ny - 1) * STEP,
+  lo2: BOX.west + 360 + (BOX.nx - 1) * STEP,
+  di: STEP,
+  dj: STEP,
+  scanMode: 0
+};
+
+// The cell a point falls in (as gridIndexFor rounds it), and distance in cells from it
+const cellOf = (lat, lon) => ({ j: Math.round((BOX.north - lat) / STEP), i: Math.round((lon - BOX.west) / STEP) });
+const cellsFrom = (cell, j, i) => Math.hypot(j - cell.j, i - cell.i);
+
+function synthetic() {
+  const rate = [];
+  const flag = [];
+
+  // Convective cell on downtown Asheville: 12.5 mm/hr in its own cell
+  const avlCell = cellOf(35.5951, -82.5515);
+  // Light snow on the Black Mountains
+  const blacksCell = cellOf(35.7650, -82.2652);
+
+  for (let j = 0; j < BOX.ny; j++) {
+    for (let i = 0; i < BOX.nx; i++) {
+      const avl = cellsFrom(avlCell, j, i);
+      const blacks = cellsFrom(blacksCell, j, i);
+
+      if (i < 10) {
+        rate.push(-3); flag.push(-3);             // off the radar edge
+      } else if (avl === 0) {
+        rate.push(12.5); flag.push(6);
+      } else if (avl <= 8) {
+        rate.push(Math.round(60 / avl) / 10); flag.push(1);
+      } else if (blacks <= 5) {
+        rate.push(0.8); flag.push(3);
+      } else {
+        rate.push(0); flag.push(0);
+      }
+    }
+  }
+
+  const refTime = new Date("2026-01-24T18:30:00Z");
+  return { rate: { refTime, values: rate }, flag: { refTime, values: flag } };
+}
+
+async function cropFrom(buffer) {
+  const message = parseGrib2(buffer);
+  const corner = gridIndexFor(message.grid, BOX.north, BOX.west);
+  if (!corner) throw new Error("The 828 box is outside this grid");
+
+  const rows = await readGrib2Window(
+    message,
+    corner.i,
+    corner.j,
+    corner.i + BOX.nx - 1,
+    corner.j + BOX.ny - 1
+  );
+
+  return { refTime: new Date(message.refTime), values: rows.flat(), packing: message.packing };
+}
+
+async function download(url) {
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`MRMS download failed: ${r.status}`);
+  return Buffer.from(await r.arrayBuffer());
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  let products;
+
+  if (args.includes("--synthetic")) {
+    products = synthetic();
+  } else {
+    const [rateBuf, flagBuf] = args.length >= 2
+      ? await Promise.all(args.slice(0, 2).map(p => readFile(p)))
+      : await Promise.all([download(MRMS_PRODUCTS.rate), download(MRMS_PRODUCTS.flag)]);
+    products = { rate: await cropFrom(rateBuf), flag: await cropFrom(flagBuf) };
+  }
+
+  const parameters = { rate: { category: 6, number: 1 }, flag: { category: 1, number: 0 } };
+
+  for (const key of ["rate", "flag"]) {
+    const { refTime, values, packing = PACKING[key] } = products[key];
+    const grib = encodeGrib2({ refTime, grid: cropGrid, packing, parameter: parameters[key], values });
+    await writeFile(OUT[key], zlib.gzipSync(grib));
+    console.log(`Wrote ${BOX.nx}×${BOX.ny} ${key} grid to ${OUT[key].pathname}`);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,115 @@
+// /sw.js
+// ============================================================
+// SERVICE WORKER — app shell cache
+// Shell: stale‑while‑revalidate. /api/*: always network
+// (the page keeps its own last‑good snapshot for offline use).
+// ============================================================
+
+const SHELL_CACHE = "828wx-shell-v19";
+
+const SHELL_FILES = [
+  "/",
+  "/index.html",
+  "/js/activity-profiles.js",
+  "/js/air-quality.js",
+  "/js/alerts.js",
+  "/js/app.js",
+  "/js/climatology.js",
+  "/js/data/kavl-climate.js",
+  "/js/data/kavl-frost.js",
+  "/js/data/parkway-landmarks.js",
+  "/js/elevation.js",
+  "/js/extended-outlook.js",
+  "/js/forecast-confidence.js",
+  "/js/forecast-intel.js",
+  "/js/forecast-intel-plus.js",
+  "/js/forecast-time.js",
+  "/js/frost.js",
+  "/js/hourly-chart.js",
+  "/js/landmarks.js",
+  "/js/location.js",
+  "/js/micro-advice.js",
+  "/js/notifications.js",
+  "/js/offline-cache.js",
+  "/js/precip-chance.js",
+  "/js/precip-type.js",
+  "/js/refresh-scheduler.js",
+  "/js/station-consensus.js",
+  "/js/thunderstorms.js",
+  "/js/units.js",
+  "/js/valley-fog.js",
+  "/js/weather-fetch.js",
+  "/js/weather-render.js",
+  "/js/weather-utils.js",
+  "/js/wind-shifts.js",
+  "/828-logo-weather-update.jpg",
+  "/828-weather-update-profile.png"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(k => k.startsWith("828wx-shell-") && k !== SHELL_CACHE)
+          .map(k => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+
+  if (req.method !== "GET" || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith("/api/")) return;
+
+  event.respondWith(staleWhileRevalidate(req));
+});
+
+// Tapping a rain / wind alert brings the app forward (or opens it)
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true })
+      .then(windows => {
+        const open = windows.find(w => new URL(w.url).origin === self.location.origin);
+        return open ? open.focus() : self.clients.openWindow("/");
+      })
+  );
+});
+
+async function staleWhileRevalidate(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(req, { ignoreSearch: true });
+
+  const network = fetch(req)
+    .then(res => {
+      if (res.ok) cache.put(req, res.clone());
+      return res;
+    })
+    .catch(() => null);
+
+  if (cached) return cached;
+
+  const res = await network;
+  if (res) return res;
+
+  // Navigations fall back to the cached shell
+  if (req.mode === "navigate") {
+    const shell = await cache.match("/index.html");
+    if (shell) return shell;
+  }
+
+  return new Response("Offline", { status: 503, statusText: "Offline" });
+}
@@ -0,0 +1,49 @@
+// /test/alerts.test.js
+// Parses the saved NWS response in api/_fixtures, then checks the
+// client's event → headline/emoji matching.
+//
+//   node --test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { parseAlerts, alertLevel } from "../api/_lib/nws-alerts.js";
+import { alertHeadline, alertEmoji } from "../js/alerts.js";
+
+const winterStorm = JSON.parse(
+  await readFile(new URL("../api/_fixtures/nws-alerts-winter-storm.json", import.meta.url), "utf8")
+);
+
+test("drops test messages and sorts warnings first", () => {
+  const alerts = parseAlerts(winterStorm);
+
+  assert.deepEqual(alerts.map(a => a.event), ["Winter Storm Warning", "Wind Advisory"]);
+  assert.deepEqual(alerts.map(a => a.level), ["warning", "advisory"]);
+});
+
+test("keeps the timing and text the banner needs", () => {
+  const [warning] = parseAlerts(winterStorm);
+
+  assert.equal(warning.severity, "Severe");
+  assert.equal(warning.onset, "2026-01-24T19:00:00-05:00");
+  assert.equal(warning.ends, "2026-01-25T18:00:00-05:00");
+  assert.match(warning.areaDesc, /Buncombe/);
+  assert.ok(warning.headline.length > 0);
+});
+
+test("handles an empty or missing response", () => {
+  assert.deepEqual(parseAlerts({ features: [] }), []);
+  assert.deepEqual(parseAlerts(null), []);
+});
+
+test("reads the level from the event name", () => {
+  assert.equal(alertLevel("Flood Watch"), "watch");
+  assert.equal(alertLevel("Special Weather Statement"), "statement");
+});
+
+test("matches wind chill ahead of wind", () => {
+  assert.equal(alertHeadline({ event: "Wind Chill Warning" }), "Cover exposed skin — frostbite sets in fast.");
+  assert.equal(alertEmoji({ event: "Wind Chill Advisory" }), "🥶");
+  assert.equal(alertHeadline({ event: "Extreme Cold Warning" }), "Cover exposed skin — frostbite sets in fast.");
+  assert.equal(alertHeadline({ event: "Wind Advisory" }), "Secure loose outdoor items.");
+});
@@ -0,0 +1,55 @@
+// /test/climatology.test.js
+// The bundled KAVL climatology and the record call‑outs built on it.
+//
+//   node --test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+// units.js reads the saved unit choice
+globalThis.localStorage ??= { getItem: () => null, setItem() {} };
+
+const { KAVL_CLIMATE } = await import("../js/data/kavl-climate.js");
+const { getDayClimate, compareToClimate } = await import("../js/climatology.js");
+
+// Records only exist once scripts/build-climate.mjs has run against ACIS
+const noRecords = KAVL_CLIMATE.recordsPeriod == null &&
+  "js/data/kavl-climate.js has no records yet — run node scripts/build-climate.mjs";
+
+// Noon Eastern, so the lookup day is the same in any test zone
+const on = monthDay => new Date(`2026-${monthDay}T16:00:00Z`);
+
+test("every calendar day, Feb 29 included, has normals", () => {
+  const days = Object.keys(KAVL_CLIMATE.days);
+  assert.equal(days.length, 366);
+  assert.ok(days.includes("02-29"));
+
+  for (const [key, [normalHigh, normalLow]] of Object.entries(KAVL_CLIMATE.days)) {
+    assert.ok(Number.isFinite(normalHigh) && Number.isFinite(normalLow), key);
+    assert.ok(normalHigh > normalLow, key);
+  }
+});
+
+test("every day carries a record high and low with its year", { skip: noRecords }, () => {
+  for (const [key, row] of Object.entries(KAVL_CLIMATE.days)) {
+    const [, , recordHigh, recordHighYear, recordLow, recordLowYear] = row;
+    assert.ok(Number.isFinite(recordHigh) && Number.isFinite(recordLow), key);
+    assert.ok(Number.isInteger(recordHighYear) && Number.isInteger(recordLowYear), key);
+  }
+});
+
+// Asheville's first 100° reading in the threaded record, June 30, 2012
+test("June 30 carries the 2012 all‑time record high", { skip: noRecords }, () => {
+  const day = getDayClimate(on("06-30"));
+  assert.equal(day.recordHigh, 100);
+  assert.equal(day.recordHighYear, 2012);
+});
+
+test("a forecast within 2° of the record is called out", { skip: noRecords }, () => {
+  const ctx = compareToClimate({ high: 98 }, on("06-30"));
+  assert.deepEqual(ctx.nearRecord, { kind: "high", value: 100, year: 2012, broken: false });
+  assert.equal(ctx.notable, true);
+
+  assert.equal(compareToClimate({ high: 100 }, on("06-30")).nearRecord.broken, true);
+  assert.equal(compareToClimate({ high: 97 }, on("06-30")).nearRecord, null);
+});
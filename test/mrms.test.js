@@ -0,0 +1,76 @@
+// /test/mrms.test.js
+// Decodes the cropped MRMS sample grids in api/_fixtures
+// (written by scripts/build-mrms-sample.mjs --synthetic).
+//
+//   node --test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { parseGrib2, gridIndexFor, readGrib2Window } from "../api/_lib/grib2.js";
+import { decodeMRMSPoint } from "../api/_lib/mrms.js";
+
+const fixture = name => readFile(new URL(`../api/_fixtures/${name}`, import.meta.url));
+
+const rateBuf = await fixture("mrms-preciprate-828.grib2.gz");
+const flagBuf = await fixture("mrms-precipflag-828.grib2.gz");
+
+const ASHEVILLE = { lat: 35.5951, lon: -82.5515 };
+const MOUNT_MITCHELL = { lat: 35.7650, lon: -82.2652 };
+
+test("reads the grid and reference time from the headers", () => {
+  const message = parseGrib2(rateBuf);
+
+  assert.equal(message.refTime, "2026-01-24T18:30:00.000Z");
+  assert.equal(message.packing.template, 41);
+  assert.equal(message.grid.nx, 300);
+  assert.equal(message.grid.ny, 140);
+  assert.ok(Math.abs(message.grid.lo1 - 275.7) < 1e-6);
+});
+
+test("decodes a known pixel through every PNG row filter", async () => {
+  const message = parseGrib2(rateBuf);
+  const { i, j } = gridIndexFor(message.grid, ASHEVILLE.lat, ASHEVILLE.lon);
+
+  const [[core]] = await readGrib2Window(message, i, j, i, j);
+  assert.equal(core, 12.5);
+
+  // Rows 0..4 use filters None, Sub, Up, Average, Paeth; the cell's ring
+  // and the no‑coverage edge must come back exactly
+  const [row] = await readGrib2Window(message, 0, j, 299, j);
+  assert.equal(row[0], -3);
+  assert.equal(row[i + 3], 2);
+  assert.equal(row[299], 0);
+});
+
+test("summarizes rain over Asheville", async () => {
+  const pixel = await decodeMRMSPoint(rateBuf, flagBuf, ASHEVILLE.lat, ASHEVILLE.lon, 0);
+
+  assert.deepEqual(pixel, {
+    rate: 0.492,
+    rateMm: 12.5,
+    type: "rain",
+    intensity: "heavy",
+    validTime: "2026-01-24T18:30:00.000Z",
+    covered: true
+  });
+});
+
+test("reads the snow flag on the Black Mountains", async () => {
+  const pixel = await decodeMRMSPoint(rateBuf, flagBuf, MOUNT_MITCHELL.lat, MOUNT_MITCHELL.lon);
+
+  assert.equal(pixel.type, "snow");
+  assert.equal(pixel.rateMm, 0.8);
+  assert.equal(pixel.intensity, "light");
+});
+
+test("still returns a rate without the flag grid", async () => {
+  const pixel = await decodeMRMSPoint(rateBuf, null, ASHEVILLE.lat, ASHEVILLE.lon, 0);
+  assert.equal(pixel.type, "rain");
+});
+
+test("reports points outside the grid as not covered", async () => {
+  const pixel = await decodeMRMSPoint(rateBuf, flagBuf, 40.7128, -74.0060);
+  assert.equal(pixel.covered, false);
+  assert.equal(pixel.type, "none");
+});
@@ -0,0 +1,63 @@
+// /test/precip-window.test.js
+// The detail panel's precip sentence against the precip‑type classifier.
+//
+//   node --test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+// units.js reads the saved unit choice
+globalThis.localStorage ??= { getItem: () => null, setItem() {} };
+
+const { buildWeatherIntel } = await import("../js/forecast-intel-plus.js");
+
+// 5:30 AM Eastern; 0.1"/hr at 90% from 6 to 11 AM today and tomorrow
+const now = new Date("2027-01-19T10:30:00Z");
+
+function hourly({ sfc, t925, t850, snowfall = 0 }) {
+  const series = { time: [], temperature_2m: [], dewpoint_2m: [], precipitation: [],
+    precipitation_probability: [], snowfall: [], windgusts_10m: [],
+    temperature_925hPa: [], temperature_850hPa: [] };
+
+  for (let i = 0; i < 72; i++) {
+    const hour = i % 24;
+    const wet = hour >= 6 && hour <= 11;
+    series.time.push(`2027-01-${19 + Math.floor(i / 24)}T${String(hour).padStart(2, "0")}:00`);
+    series.temperature_2m.push(sfc);
+    series.dewpoint_2m.push(sfc - 1);
+    series.precipitation.push(wet ? 0.1 : 0);
+    series.precipitation_probability.push(wet ? 90 : 5);
+    series.snowfall.push(wet ? snowfall : 0);
+    series.windgusts_10m.push(10);
+    series.temperature_925hPa.push(t925);
+    series.temperature_850hPa.push(t850);
+  }
+  return series;
+}
+
+function intelFor(profile) {
+  return buildWeatherIntel({
+    wuCurrent: { temp: profile.sfc, dewPoint: profile.sfc - 1, windGust: 5 },
+    hourly: hourly(profile),
+    mrmsPixel: { rate: 0 },
+    now
+  });
+}
+
+test("freezing rain under a warm nose is not called a soaking rain", () => {
+  const intel = intelFor({ sfc: 30, t925: 36, t850: 40 });
+
+  assert.equal(intel.today.badge.text, "Damaging Ice");
+  assert.equal(intel.todayDetail.precipWindow, "Ice likely 6–11 AM (90%) — a damaging glaze of freezing rain.");
+  assert.equal(intel.tomorrowDetail.precipWindow, "Ice likely 6–11 AM (90%) — a damaging glaze of freezing rain.");
+});
+
+test("a cold column reads as snow", () => {
+  const intel = intelFor({ sfc: 28, t925: 26, t850: 24, snowfall: 1 });
+  assert.equal(intel.todayDetail.precipWindow, "Snow likely 6–11 AM (90%) — accumulating snow.");
+});
+
+test("plain rain keeps the rain wording", () => {
+  const intel = intelFor({ sfc: 50, t925: 48, t850: 46 });
+  assert.equal(intel.todayDetail.precipWindow, "Rain likely 6–11 AM (90%) — a soaking rain at times.");
+});
@@ -0,0 +1,57 @@
+// /test/valley-fog.test.js
+// Valley fog scoring on small hand‑built hourly series.
+//
+//   node --test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { detectValleyFog } from "../js/valley-fog.js";
+
+// Four pre‑dawn hours (Eastern wall clock), saturated and calm unless overridden
+function hours(overrides = {}) {
+  const time = ["2026-10-20T04:00", "2026-10-20T05:00", "2026-10-20T06:00", "2026-10-20T07:00"];
+  const fill = value => time.map(() => value);
+
+  return {
+    time,
+    temperature_2m: fill(48),
+    dewpoint_2m: fill(47),
+    windspeed_10m: fill(2),
+    cloudcover: fill(10),
+    cloudcover_low: fill(0),
+    temperature_850hPa: fill(54),
+    precipitation: fill(0),
+    visibility: fill(null),
+    ...Object.fromEntries(Object.entries(overrides).map(([k, v]) => [k, fill(v)]))
+  };
+}
+
+const all = hourly => hourly.time.map((_, i) => i);
+
+test("calls a calm, clear, saturated morning dense fog", () => {
+  const hourly = hours();
+  assert.equal(detectValleyFog(hourly, all(hourly)).level, "dense");
+});
+
+test("trusts low forecast visibility on a dry, calm morning", () => {
+  const hourly = hours({ dewpoint_2m: 44, visibility: 900 });
+  assert.equal(detectValleyFog(hourly, all(hourly)).level, "dense");
+});
+
+test("does not call a rainy, low-visibility hour fog", () => {
+  const hourly = hours({ precipitation: 0.08, visibility: 900, cloudcover: 100, cloudcover_low: 100 });
+  assert.equal(detectValleyFog(hourly, all(hourly)).level, null);
+});
+
+test("does not call a windy, low-visibility hour fog", () => {
+  const hourly = hours({ windspeed_10m: 15, visibility: 2000, cloudcover: 100 });
+  assert.equal(detectValleyFog(hourly, all(hourly)).level, null);
+});
+
+test("reports the inversion even when there's no fog", () => {
+  const hourly = hours({ dewpoint_2m: 30 });
+  const fog = detectValleyFog(hourly, all(hourly));
+
+  assert.equal(fog.level, null);
+  assert.equal(fog.inversion, 6);
+});